@@ -0,0 +1,54 @@
+// apiKeyStore.js
+// Workspace API keys for server-to-server callers. A key acts as the user who created it,
+// in that key's workspace only. Keys are stored as SHA-256 hashes; the plaintext is only
+// shown on creation.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+
+const store = createStore("apiKeys");
+
+const KEY_PREFIX = "ezyr_";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+const toSummary = ({ hash, ...apiKey }) => apiKey;
+
+const isApiKey = (value) => typeof value === "string" && value.startsWith(KEY_PREFIX);
+
+// Resolves to the summary plus the plaintext key (the only time it is returned).
+function createApiKey({ workspaceId, userId, name }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const apiKey = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    userId,
+    name: name || "API key",
+    // Enough of the key to recognise it in a list
+    preview: `${key.slice(0, KEY_PREFIX.length + 4)}...`,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    hash: hashKey(key),
+  };
+  store.set(apiKey.id, apiKey);
+  return { ...toSummary(apiKey), key };
+}
+
+const listApiKeys = (workspaceId) =>
+  store.list((apiKey) => apiKey.workspaceId === workspaceId).map(toSummary);
+
+function deleteApiKey(workspaceId, id) {
+  const apiKey = store.get(id);
+  if (!apiKey || apiKey.workspaceId !== workspaceId) return false;
+  return store.delete(id);
+}
+
+// Looks a presented key up by its hash and stamps lastUsedAt (at most once a minute).
+function verifyApiKey(key) {
+  const hash = hashKey(key);
+  const apiKey = store.list((entry) => entry.hash === hash)[0];
+  if (!apiKey) return null;
+  if (!apiKey.lastUsedAt || Date.now() - Date.parse(apiKey.lastUsedAt) > 60000)
+    store.set(apiKey.id, { ...apiKey, lastUsedAt: new Date().toISOString() });
+  return toSummary(apiKey);
+}
+
+module.exports = { isApiKey, createApiKey, listApiKeys, deleteApiKey, verifyApiKey };
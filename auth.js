@@ -0,0 +1,112 @@
+// auth.js
+// API authentication. Callers present either a session token from /auth/login (an
+// HS256 JWT signed with JWT_SECRET, valid for SESSION_TTL_SECONDS, default 12h) or a
+// workspace API key (see apiKeyStore.js), as "Authorization: Bearer <token>" or, for
+// keys, "X-Api-Key: <key>".
+//
+// Session callers pick a workspace with the X-Workspace-Id header (default: their first
+// workspace) and must be a member of it; API keys are bound to their own workspace.
+//
+// Operators are listed in ADMIN_USERS (comma separated user ids; not emails, which are
+// never verified). Only they may change what every workspace shares: block definitions
+// and plugins, and detailed health. Admin rights need a session; API keys never get them.
+const crypto = require("crypto");
+const { createHttpError } = require("./errors");
+const { getUser } = require("./userStore");
+const { listUserWorkspaces, getMemberRole } = require("./workspaceStore");
+const { isApiKey, verifyApiKey } = require("./apiKeyStore");
+
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 12 * 60 * 60;
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is not configured");
+  return secret;
+};
+
+const encodeJson = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const sign = (data) => crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+
+// Resolves to { token, expiresAt } for `userId`.
+function signSessionToken(userId) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + SESSION_TTL_SECONDS;
+  const data = `${encodeJson({ alg: "HS256", typ: "JWT" })}.${encodeJson({ sub: userId, iat: now, exp })}`;
+  return { token: `${data}.${sign(data)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// The token's payload, or null when it is malformed, forged or expired.
+function verifySessionToken(token) {
+  const [header, payload, signature] = String(token).split(".");
+  if (!header || !payload || !signature) return null;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+const unauthorized = (message) => createHttpError(401, message);
+
+const isAdmin = (userId) =>
+  (process.env.ADMIN_USERS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .includes(userId);
+
+function apiKeyAuth(key) {
+  const apiKey = verifyApiKey(key);
+  if (!apiKey) throw unauthorized("Invalid API key");
+  // A key stops working once its creator leaves the workspace
+  const role = getMemberRole(apiKey.workspaceId, apiKey.userId);
+  if (!role) throw unauthorized("Invalid API key");
+  return {
+    userId: apiKey.userId,
+    workspaceId: apiKey.workspaceId,
+    role,
+    apiKeyId: apiKey.id,
+    isAdmin: false,
+  };
+}
+
+function sessionAuth(token, requestedWorkspaceId) {
+  const claims = verifySessionToken(token);
+  const user = claims && getUser(claims.sub);
+  if (!user) throw unauthorized("Invalid or expired session");
+  const workspaceId = requestedWorkspaceId || listUserWorkspaces(user.id)[0]?.id || null;
+  const role = workspaceId ? getMemberRole(workspaceId, user.id) : null;
+  if (workspaceId && !role)
+    throw createHttpError(403, "Not a member of this workspace", { code: "WORKSPACE_FORBIDDEN" });
+  return { userId: user.id, workspaceId, role, apiKeyId: null, isAdmin: isAdmin(user.id) };
+}
+
+// Prometheus scrapes /metrics with "Authorization: Bearer <METRICS_TOKEN>"; the route is
+// disabled while METRICS_TOKEN is not set.
+function hasMetricsToken(req) {
+  const token = process.env.METRICS_TOKEN;
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+  if (!token || !bearer) return false;
+  const expected = crypto.createHash("sha256").update(token).digest();
+  const received = crypto.createHash("sha256").update(bearer).digest();
+  return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Authenticates `req`. Resolves to { userId, workspaceId, role, apiKeyId, isAdmin }
+ * (workspaceId is null for a session user without any workspace) or throws a 401/403
+ * HTTP error.
+ */
+function resolveAuth(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+  const key = req.get("x-api-key") || (isApiKey(bearer) ? bearer : null);
+  if (key) return apiKeyAuth(key);
+  if (bearer) return sessionAuth(bearer, req.get("x-workspace-id"));
+  throw unauthorized("Authentication required");
+}
+
+module.exports = { signSessionToken, verifySessionToken, resolveAuth, hasMetricsToken };
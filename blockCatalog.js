@@ -0,0 +1,40 @@
+// blockCatalog.js
+// Client-safe description of the blocks in blockConfigs.js, served by GET /blocks.
+// Functions (buildUrl, execute, transform, ...) and internal config are left out.
+
+const stripFunctions = (value) => {
+  if (Array.isArray(value)) return value.map(stripFunctions);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (typeof entry !== "function") out[key] = stripFunctions(entry);
+  }
+  return out;
+};
+
+function describeOperation(name, op) {
+  return {
+    name,
+    label: op.label || name,
+    service: op.service,
+    method: op.method,
+    inputSchema: stripFunctions(op.inputSchema || {}),
+  };
+}
+
+function describeBlock(blockId, block) {
+  return {
+    id: blockId,
+    name: block.name || blockId,
+    description: block.description || "",
+    icon: block.icon || null,
+    credentialType: block.credentialType || null,
+    operations: Object.entries(block.operations).map(([name, op]) => describeOperation(name, op)),
+  };
+}
+
+function describeBlocks(blocks) {
+  return Object.entries(blocks).map(([blockId, block]) => describeBlock(blockId, block));
+}
+
+module.exports = { describeBlock, describeBlocks };
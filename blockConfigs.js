@@ -1,58 +1,455 @@
 // blockConfigs.js
 // Export as a MAP for fast lookup by blockId
+// Each operation declares an `inputSchema` (see blockSchema.js) used to validate
+// /block/execute params and to render the block's form on the frontend.
+const crypto = require("crypto");
+const { createHttpError } = require("./errors");
+const { paginationSchema, collectPages } = require("./pagination");
+const {
+  DEFAULT_HEADERS,
+  MESSAGE_FETCH_CONCURRENCY,
+  createGmailClient,
+  decodeBase64Url,
+  formatMessage,
+  buildMimeMessage,
+  describeMimeMessage,
+  getReplyContext,
+  resolveLabelIds,
+  mapWithConcurrency,
+} = require("./gmailHelpers");
+const {
+  DEFAULT_COLUMNS,
+  createSheetsClient,
+  a1,
+  parseRange,
+  resolveSpreadsheetId,
+  getSheetId,
+  getIdColumnPosition,
+  rowToFields,
+  buildRowValues,
+  assertRowKey,
+  describeRow,
+} = require("./sheetsHelpers");
+
+const airtableTableSchema = {
+  baseId: { type: "string", required: true, label: "Base ID" },
+  tableName: { type: "string", required: true, label: "Table name" },
+};
+
+const airtableRecordSchema = {
+  ...airtableTableSchema,
+  recordId: { type: "string", required: true, label: "Record ID" },
+};
+
+const airtableQuerySchema = {
+  filterByFormula: {
+    type: "string",
+    label: "Filter formula",
+    description: "Airtable formula, e.g. {Status} = 'Done'",
+  },
+  sort: {
+    type: "array",
+    label: "Sort",
+    items: {
+      type: "object",
+      properties: {
+        field: { type: "string", required: true, label: "Field" },
+        direction: { type: "string", enum: ["asc", "desc"], default: "asc", label: "Direction" },
+      },
+    },
+  },
+  view: { type: "string", label: "View" },
+  fields: { type: "array", items: { type: "string" }, label: "Fields to return" },
+  maxRecords: { type: "integer", min: 1, label: "Max records" },
+};
+
+const airtableTableUrl = (config, inputs) =>
+  `${config.baseurl}/${encodeURIComponent(inputs.baseId)}/${encodeURIComponent(inputs.tableName)}`;
+
+const airtableRecordUrl = (config, inputs) =>
+  `${airtableTableUrl(config, inputs)}/${encodeURIComponent(inputs.recordId)}`;
+
+// Airtable's list query string: sort[0][field]=...&sort[0][direction]=...&fields[]=...
+function airtableListQuery(inputs) {
+  const query = new URLSearchParams();
+  if (inputs.filterByFormula) query.append("filterByFormula", inputs.filterByFormula);
+  (inputs.sort || []).forEach(({ field, direction }, i) => {
+    query.append(`sort[${i}][field]`, field);
+    query.append(`sort[${i}][direction]`, direction || "asc");
+  });
+  if (inputs.view) query.append("view", inputs.view);
+  (inputs.fields || []).forEach((field) => query.append("fields[]", field));
+  if (inputs.maxRecords) query.append("maxRecords", inputs.maxRecords);
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : "";
+}
+
+// Airtable accepts at most 10 records per create/update/delete request.
+const AIRTABLE_BATCH_SIZE = 10;
+
+const typecastSchema = {
+  type: "boolean",
+  default: false,
+  label: "Typecast",
+  description: "Let Airtable convert string values to the field types",
+};
+
+const dataFieldsSchema = {
+  type: "object",
+  label: "Fields",
+  description: "Field name to value map",
+};
+
+const gmailHeadersSchema = {
+  type: "array",
+  items: { type: "string" },
+  default: DEFAULT_HEADERS,
+  label: "Headers",
+  description: "Message headers to include, e.g. To, Cc, Message-ID",
+};
+
+const gmailAddressesSchema = (label) => ({
+  type: "array",
+  items: { type: "string" },
+  label,
+});
+
+const gmailBodySchema = {
+  text: { type: "string", label: "Plain-text body" },
+  html: { type: "string", label: "HTML body" },
+  attachments: {
+    type: "array",
+    label: "Attachments",
+    default: [],
+    items: {
+      type: "object",
+      properties: {
+        filename: { type: "string", required: true, label: "File name" },
+        mimeType: { type: "string", label: "MIME type" },
+        content: { type: "string", required: true, label: "Content (base64)" },
+      },
+    },
+  },
+};
+
+const gmailComposeSchema = {
+  to: { ...gmailAddressesSchema("To"), required: true, min: 1 },
+  cc: gmailAddressesSchema("Cc"),
+  bcc: gmailAddressesSchema("Bcc"),
+  subject: { type: "string", default: "", label: "Subject" },
+  ...gmailBodySchema,
+};
+
+// Drafts can optionally be replies; the reply headers override subject/threading.
+async function draftFields(gmail, inputs) {
+  if (!inputs.replyToMessageId) return { fields: inputs };
+  const { threadId, to, cc, ...replyHeaders } = await getReplyContext(gmail, inputs.replyToMessageId);
+  return { fields: { ...inputs, ...replyHeaders }, threadId };
+}
+
+// messages.modify parameters for modifyLabels, shared by execute and preview.
+const planLabelChanges = async (gmail, inputs) => ({
+  userId: "me",
+  id: inputs.messageId,
+  requestBody: {
+    addLabelIds: await resolveLabelIds(gmail, inputs.addLabels),
+    removeLabelIds: await resolveLabelIds(gmail, inputs.removeLabels),
+  },
+});
+
+// Dry runs show the message decoded instead of the base64url `raw` Gmail receives.
+const previewMessage = (fields, threadId) => ({ ...describeMimeMessage(fields), threadId });
+
+const sheetTargetSchema = {
+  spreadsheetId: {
+    type: "string",
+    label: "Spreadsheet ID",
+    description: "Defaults to the server's MY_SPREEDSHEET_ID",
+  },
+  sheetName: { type: "string", default: "Sheet1", label: "Sheet (tab) name" },
+  range: { type: "string", default: "A:Z", label: "Range", description: "A1 range within the sheet" },
+  headerRow: {
+    type: "boolean",
+    default: false,
+    label: "First row is a header",
+    description: "Use the first row's cells as field names",
+  },
+};
+
+const sheetColumnsSchema = {
+  type: "array",
+  items: { type: "string" },
+  label: "Column names",
+  description: "Field names for each column when there is no header row",
+};
+
+const idColumnSchema = {
+  type: "string",
+  label: "ID column",
+  description: "Column holding a generated record key (usually hidden in the sheet)",
+};
+
+// Rows are addressed by rowNumber, the 1-based sheet row that fetch returns (also as
+// `id` when there is no idColumn). In idColumn mode recordId must still match the row's key.
+const sheetRowSchema = {
+  rowNumber: { type: "integer", min: 1, required: true, label: "Row number" },
+  idColumn: idColumnSchema,
+  recordId: { type: "string", label: "Record ID", description: "Required when idColumn is set" },
+};
+
+// Request builders for the sheets write operations, shared by execute and preview (dry run).
+// In idColumn mode, create stores `recordId` as the new row's key.
+async function planSheetAppend(sheets, spreadsheetId, inputs, recordId) {
+  let columns;
+  if (inputs.idColumn) {
+    ({ columns } = await getIdColumnPosition(sheets, spreadsheetId, inputs));
+    inputs.dataFields = { ...inputs.dataFields, [inputs.idColumn]: recordId };
+  }
+  return {
+    spreadsheetId,
+    range: a1(inputs.sheetName, inputs.range),
+    valueInputOption: "RAW",
+    requestBody: { values: [await buildRowValues(sheets, spreadsheetId, inputs, columns)] },
+  };
+}
+
+async function planSheetUpdate(sheets, spreadsheetId, inputs, rowNumber) {
+  const columns = await assertRowKey(sheets, spreadsheetId, inputs, rowNumber);
+  if (inputs.idColumn)
+    inputs.dataFields = { ...inputs.dataFields, [inputs.idColumn]: inputs.recordId };
+  const { column } = parseRange(inputs.range);
+  return {
+    spreadsheetId,
+    range: a1(inputs.sheetName, `${column}${rowNumber}`),
+    valueInputOption: "RAW",
+    requestBody: { values: [await buildRowValues(sheets, spreadsheetId, inputs, columns)] },
+  };
+}
+
+async function planSheetDelete(sheets, spreadsheetId, inputs, rowNumber) {
+  await assertRowKey(sheets, spreadsheetId, inputs, rowNumber);
+  const sheetId = await getSheetId(sheets, spreadsheetId, inputs.sheetName);
+  return {
+    spreadsheetId,
+    requestBody: {
+      requests: [
+        {
+          deleteDimension: {
+            range: { sheetId, dimension: "ROWS", startIndex: rowNumber - 1, endIndex: rowNumber },
+          },
+        },
+      ],
+    },
+  };
+}
 
 module.exports = {
   "airtable-crud": {
+    name: "Airtable",
+    description: "Read and write records in an Airtable table",
+    icon: "airtable",
+    credentialType: "airtable",
+    // Cached reads are dropped when a write hits the same table
+    cacheResource: (inputs) => `${inputs.baseId}/${inputs.tableName}`,
     operations: {
       fetch: {
+        label: "List records",
         service: "airtable",
         method: "GET",
+        cache: { ttlSeconds: 30 },
         buildUrl: ({ inputs, config }) =>
-          `${config.baseurl}/${inputs.baseId}/${inputs.tableName}`,
+          `${airtableTableUrl(config, inputs)}${airtableListQuery(inputs)}`,
         buildHeaders: ({ credentials }) => ({
           Authorization: `Bearer ${credentials.apiKey}`,
         }),
-        requiredFields: ["baseId", "tableName"],
-        responseField: "records",
-        transform: null,
+        inputSchema: {
+          ...airtableTableSchema,
+          ...airtableQuerySchema,
+          ...paginationSchema({ defaultPageSize: 100, maxPageSize: 100 }),
+        },
+        // Airtable pages with ?pageSize=&offset= and returns the next offset in the body.
+        pagination: {
+          pageSizeParam: "pageSize",
+          cursorParam: "offset",
+          cursorField: "offset",
+          itemsField: "records",
+        },
+      },
+      get: {
+        label: "Get record",
+        service: "airtable",
+        method: "GET",
+        cache: { ttlSeconds: 30 },
+        buildUrl: ({ inputs, config }) => airtableRecordUrl(config, inputs),
+        buildHeaders: ({ credentials }) => ({
+          Authorization: `Bearer ${credentials.apiKey}`,
+        }),
+        inputSchema: airtableRecordSchema,
+        responseField: null,
       },
       create: {
+        label: "Create record",
         service: "airtable",
         method: "POST",
-        buildUrl: ({ inputs, config }) =>
-          `${config.baseurl}/${inputs.baseId}/${inputs.tableName}`,
+        buildUrl: ({ inputs, config }) => airtableTableUrl(config, inputs),
         buildHeaders: ({ credentials }) => ({
           Authorization: `Bearer ${credentials.apiKey}`,
           "Content-Type": "application/json",
         }),
         buildPayload: ({ inputs }) => ({ fields: { ...inputs.dataFields } }),
-        requiredFields: ["baseId", "tableName"],
+        inputSchema: {
+          ...airtableTableSchema,
+          dataFields: { ...dataFieldsSchema, required: true },
+        },
         responseField: null,
       },
       update: {
+        label: "Update record",
         service: "airtable",
         method: "PATCH",
-        buildUrl: ({ inputs, config }) =>
-          `${config.baseurl}/${inputs.baseId}/${inputs.tableName}/${inputs.recordId}`,
+        buildUrl: ({ inputs, config }) => airtableRecordUrl(config, inputs),
         buildHeaders: ({ credentials }) => ({
           Authorization: `Bearer ${credentials.apiKey}`,
           "Content-Type": "application/json",
         }),
         buildPayload: ({ inputs }) => ({ fields: { ...inputs.dataFields } }),
-        requiredFields: ["baseId", "tableName", "recordId"],
+        inputSchema: {
+          ...airtableRecordSchema,
+          dataFields: { ...dataFieldsSchema, required: true },
+        },
         responseField: null,
       },
       delete: {
+        label: "Delete record",
         service: "airtable",
         method: "DELETE",
-        buildUrl: ({ inputs, config }) =>
-          `${config.baseurl}/${inputs.baseId}/${inputs.tableName}/${inputs.recordId}`,
+        buildUrl: ({ inputs, config }) => airtableRecordUrl(config, inputs),
         buildHeaders: ({ credentials }) => ({
           Authorization: `Bearer ${credentials.apiKey}`,
         }),
-        requiredFields: ["baseId", "tableName", "recordId"],
+        inputSchema: airtableRecordSchema,
         responseField: null,
       },
+      // Batch operations: /block/execute splits `records` (or `recordIds`) into
+      // chunks of batch.size and reports success/failure per record.
+      batchCreate: {
+        label: "Create records (batch)",
+        service: "airtable",
+        method: "POST",
+        buildUrl: ({ inputs, config }) => airtableTableUrl(config, inputs),
+        buildHeaders: ({ credentials }) => ({
+          Authorization: `Bearer ${credentials.apiKey}`,
+          "Content-Type": "application/json",
+        }),
+        buildPayload: ({ inputs }) => ({
+          records: inputs.records.map(({ fields }) => ({ fields })),
+          typecast: inputs.typecast,
+        }),
+        inputSchema: {
+          ...airtableTableSchema,
+          records: {
+            type: "array",
+            required: true,
+            min: 1,
+            label: "Records",
+            items: { type: "object", properties: { fields: { ...dataFieldsSchema, required: true } } },
+          },
+          typecast: typecastSchema,
+        },
+        batch: { itemsField: "records", size: AIRTABLE_BATCH_SIZE },
+      },
+      batchUpdate: {
+        label: "Update records (batch)",
+        service: "airtable",
+        method: "PATCH",
+        buildUrl: ({ inputs, config }) => airtableTableUrl(config, inputs),
+        buildHeaders: ({ credentials }) => ({
+          Authorization: `Bearer ${credentials.apiKey}`,
+          "Content-Type": "application/json",
+        }),
+        buildPayload: ({ inputs }) => ({
+          records: inputs.records.map(({ id, fields }) => ({ id, fields })),
+          typecast: inputs.typecast,
+        }),
+        inputSchema: {
+          ...airtableTableSchema,
+          records: {
+            type: "array",
+            required: true,
+            min: 1,
+            label: "Records",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string", required: true, label: "Record ID" },
+                fields: { ...dataFieldsSchema, required: true },
+              },
+            },
+          },
+          typecast: typecastSchema,
+        },
+        batch: { itemsField: "records", size: AIRTABLE_BATCH_SIZE },
+      },
+      batchDelete: {
+        label: "Delete records (batch)",
+        service: "airtable",
+        method: "DELETE",
+        buildUrl: ({ inputs, config }) => {
+          const query = new URLSearchParams();
+          inputs.recordIds.forEach((id) => query.append("records[]", id));
+          return `${airtableTableUrl(config, inputs)}?${query}`;
+        },
+        buildHeaders: ({ credentials }) => ({
+          Authorization: `Bearer ${credentials.apiKey}`,
+        }),
+        inputSchema: {
+          ...airtableTableSchema,
+          recordIds: {
+            type: "array",
+            required: true,
+            min: 1,
+            items: { type: "string" },
+            label: "Record IDs",
+          },
+        },
+        batch: { itemsField: "recordIds", size: AIRTABLE_BATCH_SIZE },
+      },
+      upsert: {
+        label: "Upsert records (batch)",
+        service: "airtable",
+        method: "PATCH",
+        buildUrl: ({ inputs, config }) => airtableTableUrl(config, inputs),
+        buildHeaders: ({ credentials }) => ({
+          Authorization: `Bearer ${credentials.apiKey}`,
+          "Content-Type": "application/json",
+        }),
+        buildPayload: ({ inputs }) => ({
+          performUpsert: { fieldsToMergeOn: inputs.fieldsToMergeOn },
+          records: inputs.records.map(({ fields }) => ({ fields })),
+          typecast: inputs.typecast,
+        }),
+        inputSchema: {
+          ...airtableTableSchema,
+          fieldsToMergeOn: {
+            type: "array",
+            required: true,
+            min: 1,
+            max: 3,
+            items: { type: "string" },
+            label: "Fields to merge on",
+            description: "Records matching on these fields are updated, others created",
+          },
+          records: {
+            type: "array",
+            required: true,
+            min: 1,
+            label: "Records",
+            items: { type: "object", properties: { fields: { ...dataFieldsSchema, required: true } } },
+          },
+          typecast: typecastSchema,
+        },
+        batch: { itemsField: "records", size: AIRTABLE_BATCH_SIZE },
+      },
     },
     config: {
       baseurl: "https://api.airtable.com/v0",
@@ -60,149 +457,416 @@ module.exports = {
   },
 
   gmail_search_emails: {
+    name: "Gmail search",
+    description: "Search and read emails, threads and attachments in a Gmail inbox",
+    icon: "gmail",
+    credentialType: "google",
+    cacheResource: () => "mailbox",
     operations: {
       fetch: {
+        label: "Search emails",
         service: "gmail",
         method: "POST",
-        async execute({ credentials, inputs }) {
-          const { google } = require("googleapis");
-          const authClient = new google.auth.OAuth2(
-            credentials.clientId,
-            credentials.secretId
+        idempotent: true,
+        cache: { ttlSeconds: 60 },
+        inputSchema: {
+          query: {
+            type: "string",
+            default: "",
+            label: "Search query",
+            description: "Gmail search syntax, e.g. from:someone@example.com",
+          },
+          headers: gmailHeadersSchema,
+          ...paginationSchema({ defaultPageSize: 10, maxPageSize: 100 }),
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { items: messages, nextCursor } = await collectPages(
+            async (pageToken, pageSize) => {
+              const searchRes = await gmail.users.messages.list({
+                userId: "me",
+                q: inputs.query,
+                maxResults: pageSize,
+                pageToken: pageToken || undefined,
+              });
+              return {
+                items: searchRes.data.messages || [],
+                nextCursor: searchRes.data.nextPageToken,
+              };
+            },
+            inputs
           );
-          authClient.setCredentials({ access_token: credentials.access_token });
-
-          const gmail = google.gmail({ version: "v1", auth: authClient });
-          const searchRes = await gmail.users.messages.list({
-            userId: "me",
-            q: inputs.query,
-            maxResults: 10,
-          });
-          const messages = searchRes.data.messages || [];
-          const records = await Promise.all(
-            messages.map(async (msg) => {
+          const records = await mapWithConcurrency(
+            messages,
+            MESSAGE_FETCH_CONCURRENCY,
+            async (msg) => {
               const messageDetail = await gmail.users.messages.get({
                 userId: "me",
                 id: msg.id,
                 format: "metadata",
-                metadataHeaders: ["From", "Subject", "Date"],
+                metadataHeaders: inputs.headers,
               });
-              const headers = {};
-              (messageDetail.data.payload.headers || []).forEach((h) => {
-                if (["From", "Subject", "Date"].includes(h.name))
-                  headers[h.name] = h.value;
-              });
-              headers.Snippet = messageDetail.data.snippet;
-              return { id: msg.id, fields: headers };
-            })
+              return formatMessage(messageDetail.data, inputs.headers);
+            }
           );
-          return { records };
+          return { records, nextCursor };
+        },
+      },
+      get: {
+        label: "Get email",
+        service: "gmail",
+        method: "GET",
+        cache: { ttlSeconds: 60 },
+        inputSchema: {
+          messageId: { type: "string", required: true, label: "Message ID" },
+          headers: gmailHeadersSchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const message = await gmail.users.messages.get({
+            userId: "me",
+            id: inputs.messageId,
+            format: "full",
+          });
+          return { record: formatMessage(message.data, inputs.headers, { includeBody: true }) };
+        },
+      },
+      getAttachment: {
+        label: "Download attachment",
+        service: "gmail",
+        method: "GET",
+        inputSchema: {
+          messageId: { type: "string", required: true, label: "Message ID" },
+          attachmentId: { type: "string", required: true, label: "Attachment ID" },
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const attachment = await gmail.users.messages.attachments.get({
+            userId: "me",
+            messageId: inputs.messageId,
+            id: inputs.attachmentId,
+          });
+          // Re-encode as standard base64 so clients can use it directly.
+          return {
+            attachmentId: inputs.attachmentId,
+            size: attachment.data.size,
+            data: decodeBase64Url(attachment.data.data || "").toString("base64"),
+          };
+        },
+      },
+      getThread: {
+        label: "Get thread",
+        service: "gmail",
+        method: "GET",
+        cache: { ttlSeconds: 60 },
+        inputSchema: {
+          threadId: { type: "string", required: true, label: "Thread ID" },
+          headers: gmailHeadersSchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const thread = await gmail.users.threads.get({
+            userId: "me",
+            id: inputs.threadId,
+            format: "full",
+          });
+          return {
+            id: thread.data.id,
+            records: (thread.data.messages || []).map((message) =>
+              formatMessage(message, inputs.headers, { includeBody: true })
+            ),
+          };
+        },
+      },
+    },
+  },
+
+  "gmail-actions": {
+    name: "Gmail actions",
+    description: "Send and reply to emails, manage drafts and labels in Gmail",
+    icon: "gmail",
+    credentialType: "google",
+    // Shares the mailbox with gmail_search_emails, so sends and label changes drop its cache
+    cacheResource: () => "mailbox",
+    operations: {
+      send: {
+        label: "Send email",
+        service: "gmail",
+        method: "POST",
+        inputSchema: gmailComposeSchema,
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const response = await gmail.users.messages.send({
+            userId: "me",
+            requestBody: { raw: buildMimeMessage(inputs) },
+          });
+          return { id: response.data.id, threadId: response.data.threadId, status: "sent" };
+        },
+        async preview({ inputs }) {
+          return { request: { userId: "me", requestBody: { message: previewMessage(inputs) } } };
+        },
+      },
+      reply: {
+        label: "Reply to email",
+        service: "gmail",
+        method: "POST",
+        inputSchema: {
+          messageId: { type: "string", required: true, label: "Reply to message ID" },
+          replyAll: { type: "boolean", default: false, label: "Reply all" },
+          ...gmailBodySchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { threadId, ...replyHeaders } = await getReplyContext(gmail, inputs.messageId, inputs);
+          const response = await gmail.users.messages.send({
+            userId: "me",
+            requestBody: { raw: buildMimeMessage({ ...inputs, ...replyHeaders }), threadId },
+          });
+          return { id: response.data.id, threadId: response.data.threadId, status: "sent" };
+        },
+        // Reads the original message for the reply headers, as execute does
+        async preview({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { threadId, ...replyHeaders } = await getReplyContext(gmail, inputs.messageId, inputs);
+          const message = previewMessage({ ...inputs, ...replyHeaders }, threadId);
+          return { request: { userId: "me", requestBody: { message } } };
+        },
+      },
+      createDraft: {
+        label: "Create draft",
+        service: "gmail",
+        method: "POST",
+        inputSchema: {
+          ...gmailComposeSchema,
+          replyToMessageId: {
+            type: "string",
+            label: "Reply to message ID",
+            description: "Create the draft as a reply in that message's thread",
+          },
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { fields, threadId } = await draftFields(gmail, inputs);
+          const response = await gmail.users.drafts.create({
+            userId: "me",
+            requestBody: { message: { raw: buildMimeMessage(fields), threadId } },
+          });
+          return { draftId: response.data.id, id: response.data.message?.id, status: "drafted" };
+        },
+        async preview({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { fields, threadId } = await draftFields(gmail, inputs);
+          return { request: { userId: "me", requestBody: { message: previewMessage(fields, threadId) } } };
+        },
+      },
+      updateDraft: {
+        label: "Update draft",
+        service: "gmail",
+        method: "PUT",
+        inputSchema: {
+          draftId: { type: "string", required: true, label: "Draft ID" },
+          ...gmailComposeSchema,
+          replyToMessageId: { type: "string", label: "Reply to message ID" },
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { fields, threadId } = await draftFields(gmail, inputs);
+          const response = await gmail.users.drafts.update({
+            userId: "me",
+            id: inputs.draftId,
+            requestBody: { id: inputs.draftId, message: { raw: buildMimeMessage(fields), threadId } },
+          });
+          return { draftId: response.data.id, id: response.data.message?.id, status: "updated" };
+        },
+        async preview({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const { fields, threadId } = await draftFields(gmail, inputs);
+          const message = previewMessage(fields, threadId);
+          return { request: { userId: "me", id: inputs.draftId, requestBody: { id: inputs.draftId, message } } };
+        },
+      },
+      modifyLabels: {
+        label: "Add/remove labels",
+        service: "gmail",
+        method: "POST",
+        inputSchema: {
+          messageId: { type: "string", required: true, label: "Message ID" },
+          addLabels: { type: "array", items: { type: "string" }, default: [], label: "Labels to add" },
+          removeLabels: {
+            type: "array",
+            items: { type: "string" },
+            default: [],
+            label: "Labels to remove",
+            description: "Label names or IDs, e.g. UNREAD",
+          },
+        },
+        async execute({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const response = await gmail.users.messages.modify(await planLabelChanges(gmail, inputs));
+          return { id: response.data.id, labelIds: response.data.labelIds || [] };
+        },
+        // Resolves the label names, as execute does
+        async preview({ credentials, inputs, call }) {
+          const gmail = createGmailClient(credentials, call);
+          return { request: await planLabelChanges(gmail, inputs) };
+        },
+      },
+      listLabels: {
+        label: "List labels",
+        service: "gmail",
+        method: "GET",
+        cache: { ttlSeconds: 300 },
+        inputSchema: {},
+        async execute({ credentials, call }) {
+          const gmail = createGmailClient(credentials, call);
+          const response = await gmail.users.labels.list({ userId: "me" });
+          return {
+            records: (response.data.labels || []).map(({ id, name, type }) => ({
+              id,
+              fields: { name, type },
+            })),
+          };
         },
       },
     },
   },
 
   "google-sheets-crud": {
+    name: "Google Sheets",
+    description: "Read and write rows in a Google Sheets spreadsheet",
+    icon: "googlesheets",
+    credentialType: "google",
+    cacheResource: (inputs) =>
+      `${inputs.spreadsheetId || process.env.MY_SPREEDSHEET_ID}/${inputs.sheetName}`,
     operations: {
       fetch: {
+        label: "List rows",
         service: "googlesheets",
         method: "GET",
-        async execute({ credentials }) {
-          const { google } = require("googleapis");
-          const authClient = new google.auth.OAuth2(
-            credentials.clientId,
-            credentials.secretId
-          );
-          authClient.setCredentials({ access_token: credentials.access_token });
-          const sheets = google.sheets({ version: "v4", auth: authClient });
-          const spreadsheetId = process.env.MY_SPREEDSHEET_ID;
+        cache: { ttlSeconds: 30 },
+        inputSchema: {
+          ...sheetTargetSchema,
+          columns: { ...sheetColumnsSchema, default: DEFAULT_COLUMNS },
+          idColumn: idColumnSchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
           const response = await sheets.spreadsheets.values.get({
             spreadsheetId,
-            range: "Sheet1!A1:B1000",
+            range: a1(inputs.sheetName, inputs.range),
           });
-          const rows = (response.data.values || []).filter(
-            (row) => row && row.length > 0 && row[0].trim() !== ""
-          );
-          const transformedRecords = rows.map((entry, index) => ({
-            id: index,
-            fields: { name: entry[0] || "", email: entry[1] || "" },
-          }));
-          return { data: transformedRecords };
+          let rows = response.data.values || [];
+          let firstRowNumber = parseRange(inputs.range).row;
+          let columns = inputs.columns;
+          if (inputs.headerRow) {
+            columns = (rows[0] || []).map((cell) => String(cell).trim());
+            rows = rows.slice(1);
+            firstRowNumber += 1;
+          }
+          if (inputs.idColumn && !columns.includes(inputs.idColumn))
+            throw createHttpError(422, "Invalid inputs", {
+              fields: [{ field: "idColumn", message: `column "${inputs.idColumn}" not found` }],
+            });
+
+          // ids are real sheet row numbers (or the idColumn key), so blank rows don't shift them.
+          const records = rows
+            .map((entry, index) => ({ entry, rowNumber: firstRowNumber + index }))
+            .filter(({ entry }) => entry && entry.some((cell) => String(cell).trim() !== ""))
+            .map(({ entry, rowNumber }) => {
+              const fields = rowToFields(entry, columns);
+              if (!inputs.idColumn) return { id: rowNumber, rowNumber, fields };
+              const { [inputs.idColumn]: key, ...rest } = fields;
+              return { id: key || null, rowNumber, fields: rest };
+            });
+          return { records };
         },
       },
       create: {
+        label: "Append row",
         service: "googlesheets",
         method: "POST",
-        async execute({ credentials, inputs }) {
-          const { google } = require("googleapis");
-          const authClient = new google.auth.OAuth2(
-            credentials.clientId,
-            credentials.secretId
+        inputSchema: {
+          ...sheetTargetSchema,
+          columns: sheetColumnsSchema,
+          idColumn: idColumnSchema,
+          dataFields: dataFieldsSchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
+          const recordId = inputs.idColumn ? crypto.randomUUID() : undefined;
+          const response = await sheets.spreadsheets.values.append(
+            await planSheetAppend(sheets, spreadsheetId, inputs, recordId)
           );
-          authClient.setCredentials({ access_token: credentials.access_token });
-          const sheets = google.sheets({ version: "v4", auth: authClient });
-          const spreadsheetId = process.env.MY_SPREEDSHEET_ID;
-          await sheets.spreadsheets.values.append({
-            spreadsheetId,
-            range: "Sheet1!A1",
-            valueInputOption: "RAW",
-            requestBody: { values: [inputs.valuesArray] },
-          });
-          return { status: "success" };
+          // updatedRange looks like "'Sheet1'!A5:C5"
+          const updatedRange = response.data.updates?.updatedRange || "";
+          const rowNumber = Number((/!\D*(\d+)/.exec(updatedRange) || [])[1]) || null;
+          return { status: "success", id: recordId || rowNumber, rowNumber };
+        },
+        async preview({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
+          return { request: await planSheetAppend(sheets, spreadsheetId, inputs, "(generated)") };
         },
       },
       update: {
+        label: "Update row",
         service: "googlesheets",
         method: "PUT",
-        async execute({ credentials, inputs }) {
-          const { google } = require("googleapis");
-          const authClient = new google.auth.OAuth2(
-            credentials.clientId,
-            credentials.secretId
+        inputSchema: {
+          ...sheetTargetSchema,
+          ...sheetRowSchema,
+          columns: sheetColumnsSchema,
+          dataFields: dataFieldsSchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
+          const { rowNumber } = inputs;
+          await sheets.spreadsheets.values.update(
+            await planSheetUpdate(sheets, spreadsheetId, inputs, rowNumber)
           );
-          authClient.setCredentials({ access_token: credentials.access_token });
-          const sheets = google.sheets({ version: "v4", auth: authClient });
-          const spreadsheetId = process.env.MY_SPREEDSHEET_ID;
-          await sheets.spreadsheets.values.update({
-            spreadsheetId,
-            range: `Sheet1!A${Number(inputs.rowIndex) + 1}`,
-            valueInputOption: "RAW",
-            requestBody: { values: [inputs.valuesArray] },
-          });
-          return { status: "updated" };
+          return { status: "updated", rowNumber };
+        },
+        // Shows the row that would be overwritten next to the new values
+        async preview({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
+          const { rowNumber } = inputs;
+          return {
+            request: await planSheetUpdate(sheets, spreadsheetId, inputs, rowNumber),
+            currentRow: await describeRow(sheets, spreadsheetId, inputs, rowNumber),
+          };
         },
       },
       delete: {
+        label: "Delete row",
         service: "googlesheets",
         method: "DELETE",
-        async execute({ credentials, inputs }) {
-          const { google } = require("googleapis");
-          const authClient = new google.auth.OAuth2(
-            credentials.clientId,
-            credentials.secretId
+        // Sent as a batchUpdate POST deleting by index: a repeat would delete the next row
+        idempotent: false,
+        inputSchema: {
+          ...sheetTargetSchema,
+          ...sheetRowSchema,
+        },
+        async execute({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
+          const { rowNumber } = inputs;
+          await sheets.spreadsheets.batchUpdate(
+            await planSheetDelete(sheets, spreadsheetId, inputs, rowNumber)
           );
-          authClient.setCredentials({ access_token: credentials.access_token });
-          const sheets = google.sheets({ version: "v4", auth: authClient });
-          const spreadsheetId = process.env.MY_SPREEDSHEET_ID;
-          const sheetRowToDelete = Number(inputs.rowIndex) + 1;
-          await sheets.spreadsheets.batchUpdate({
-            spreadsheetId,
-            requestBody: {
-              requests: [
-                {
-                  deleteDimension: {
-                    range: {
-                      sheetId: 0,
-                      dimension: "ROWS",
-                      startIndex: sheetRowToDelete - 1,
-                      endIndex: sheetRowToDelete,
-                    },
-                  },
-                },
-              ],
-            },
-          });
-          return { status: "deleted" };
+          return { status: "deleted", rowNumber };
+        },
+        async preview({ credentials, inputs, call }) {
+          const sheets = createSheetsClient(credentials, call);
+          const spreadsheetId = resolveSpreadsheetId(inputs);
+          const { rowNumber } = inputs;
+          return {
+            request: await planSheetDelete(sheets, spreadsheetId, inputs, rowNumber),
+            currentRow: await describeRow(sheets, spreadsheetId, inputs, rowNumber),
+          };
         },
       },
     },
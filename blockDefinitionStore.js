@@ -0,0 +1,28 @@
+// blockDefinitionStore.js
+// Declarative block definitions saved through the API (see declarativeBlocks.js).
+// They are registered as "custom.<id>" alongside the core and plugin blocks.
+const { createStore } = require("./jsonStore");
+
+const store = createStore("blockDefinitions");
+
+function saveBlockDefinition(id, definition) {
+  const existing = store.get(id);
+  const now = new Date().toISOString();
+  return store.set(id, {
+    id,
+    definition,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  });
+}
+
+const listBlockDefinitions = () => store.list();
+const getBlockDefinition = (id) => store.get(id) || null;
+const deleteBlockDefinition = (id) => store.delete(id);
+
+module.exports = {
+  saveBlockDefinition,
+  listBlockDefinitions,
+  getBlockDefinition,
+  deleteBlockDefinition,
+};
@@ -0,0 +1,371 @@
+// blockExecutor.js
+// Runs a single block operation: resolves the block and connection, validates inputs,
+// then calls the operation's `execute` handler or performs its REST request.
+// Used by /block/execute and by the workflow engine.
+const axios = require("axios");
+const { getBlock } = require("./blockRegistry");
+const { getConnectionCredentials, updateConnectionCredentials } = require("./connectionStore");
+const { GOOGLE_SERVICES, isTokenExpired, isAuthError, refreshGoogleTokens } = require("./googleAuth");
+const { createHttpError } = require("./errors");
+const { mapUpstreamError } = require("./upstreamErrors");
+const { validateInputs } = require("./blockSchema");
+const { collectPages } = require("./pagination");
+const { resolvePolicy, withRetries } = require("./retryPolicy");
+const { acquire } = require("./rateLimiter");
+const { redactSecrets } = require("./redaction");
+const { recordBlockExecution, recordOAuthEvent } = require("./executionLog");
+const { recordBlockMetrics, trackUpstream } = require("./metrics");
+const { logger } = require("./logger");
+const { toEnvelope, validateMapping, applyMapping } = require("./resultMapping");
+const {
+  etagOf,
+  isRead,
+  isWrite,
+  cacheScope,
+  getCached,
+  putCached,
+  invalidateResource,
+} = require("./responseCache");
+
+// Runs `call`, refreshing OAuth tokens first when they have expired, or once after the
+// upstream rejects them with a 401, then retrying. Without a refresher it just calls.
+// onTokensRefreshed/onRefreshFailed also get the time the refresh started.
+async function withTokenRefresh(
+  { refreshTokens, credentials, onTokensRefreshed, onRefreshFailed },
+  call
+) {
+  if (!refreshTokens) return { result: await call(), refreshedTokens: null };
+
+  let refreshedTokens = null;
+  const refresh = async () => {
+    const startedAt = Date.now();
+    try {
+      refreshedTokens = await refreshTokens(credentials);
+    } catch (refreshError) {
+      onRefreshFailed(refreshError, startedAt);
+      throw createHttpError(401, "Token refresh failed", {
+        details: refreshError.message,
+        upstreamStatus: refreshError.response?.status ?? null,
+        upstreamBody: refreshError.response?.data ?? null,
+        requiresReauth: true,
+      });
+    }
+    Object.assign(credentials, refreshedTokens);
+    onTokensRefreshed(refreshedTokens, startedAt);
+  };
+
+  if (isTokenExpired(credentials)) await refresh();
+
+  let result;
+  try {
+    result = await call();
+  } catch (err) {
+    if (refreshedTokens || !isAuthError(err)) throw err;
+    await refresh();
+    result = await call();
+  }
+  return { result, refreshedTokens };
+}
+
+// Which refresher (if any) applies: Google blocks, or REST operations that declare
+// their own refreshTokens (declarative OAuth2 blocks).
+function getTokenRefresher(op, credentials) {
+  if (!credentials.refresh_token) return null;
+  if (op.refreshTokens) return op.refreshTokens;
+  if (op.execute && GOOGLE_SERVICES.includes(op.service))
+    return () =>
+      refreshGoogleTokens({
+        client_id: credentials.clientId,
+        client_secret: credentials.secretId,
+        refresh_token: credentials.refresh_token,
+      });
+  return null;
+}
+
+// Internal handler (for Google APIs)
+function prepareHandlerInputs({ op, params, credentials }) {
+  if (!credentials.clientId && credentials.client_id) credentials.clientId = credentials.client_id;
+  if (!credentials.secretId && credentials.client_secret) credentials.secretId = credentials.client_secret;
+  if (!credentials.access_token) credentials.access_token = credentials.accessToken;
+  // Provide dataFields/valuesArray compatibility for sheets/airtable.
+  // Flat params count as the record itself, minus the operation's declared inputs.
+  const looseFields = Object.fromEntries(
+    Object.entries(params).filter(([key]) => !(key in (op.inputSchema || {})))
+  );
+  params.dataFields = params.dataFields || params.fields || looseFields;
+  params.valuesArray = params.valuesArray || Object.values(params.dataFields);
+}
+
+// Batch operations run one request per chunk and report per-record results
+async function runBatch({ op, params, config, credentials, axiosConfig, send }) {
+  const { itemsField, size } = op.batch;
+  const items = params[itemsField];
+  const results = [];
+  for (let start = 0; start < items.length; start += size) {
+    const chunkInputs = { ...params, [itemsField]: items.slice(start, start + size) };
+    const chunkConfig = {
+      ...axiosConfig,
+      url: op.buildUrl({ inputs: chunkInputs, config, credentials }),
+      data: op.buildPayload ? op.buildPayload({ inputs: chunkInputs }) : undefined,
+    };
+    try {
+      const { data } = await send(chunkConfig);
+      const records = data.records || [];
+      chunkInputs[itemsField].forEach((item, i) => {
+        const record = records[i];
+        const result = { index: start + i, success: true, record };
+        // Upsert responses say which records were created vs updated
+        if (data.createdRecords) result.created = data.createdRecords.includes(record?.id);
+        results.push(result);
+      });
+    } catch (err) {
+      const { message, details = {} } = mapUpstreamError(op.service, err);
+      chunkInputs[itemsField].forEach((item, i) =>
+        results.push({ index: start + i, success: false, error: message, code: details.code })
+      );
+    }
+  }
+  const succeeded = results.filter((result) => result.success).length;
+  return { results, succeeded, failed: results.length - succeeded };
+}
+
+// Paginated list operations answer with { records, nextCursor }. An operation's
+// `transform` turns each page's response body into that page's items.
+// `url` with the page size and cursor query parameters of op.pagination.
+function pageUrl(url, { pageSizeParam, cursorParam }, cursor, pageSize) {
+  const paged = new URL(url);
+  paged.searchParams.set(pageSizeParam, pageSize);
+  if (cursor) paged.searchParams.set(cursorParam, cursor);
+  return paged.toString();
+}
+
+async function runPaginated({ op, params, axiosConfig, send }) {
+  const { cursorField, itemsField } = op.pagination;
+  const fetchPage = async (cursor, pageSize) => {
+    const url = pageUrl(axiosConfig.url, op.pagination, cursor, pageSize);
+    const { data } = await send({ ...axiosConfig, url });
+    const items = op.transform ? op.transform(data) : data[itemsField];
+    return { items: items || [], nextCursor: data[cursorField] };
+  };
+  const { items, nextCursor } = await collectPages(fetchPage, params);
+  return { records: items, nextCursor };
+}
+
+// For REST blocks (like Airtable). `send` performs one HTTP request (rate limited and
+// retried by executeBlock).
+async function runRequest({ block, op, params, credentials, send }) {
+  // URL, Payload, Headers
+  const config = block.config || {};
+  const url = op.buildUrl({ inputs: params, config, credentials });
+  const headers = op.buildHeaders({ credentials });
+  let payload = undefined;
+  if (op.buildPayload) payload = op.buildPayload({ inputs: params });
+
+  const method = op.method.toLowerCase();
+  // requestOptions: extra axios options (declarative blocks restrict where requests go)
+  let axiosConfig = { url, method, headers, data: payload, ...op.requestOptions };
+
+  // Remove empty data on GET/DELETE
+  if (!payload && (method === "get" || method === "delete")) delete axiosConfig.data;
+
+  if (op.batch) return runBatch({ op, params, config, credentials, axiosConfig, send });
+  if (op.pagination) return runPaginated({ op, params, axiosConfig, send });
+
+  // Execute request
+  const response = await send(axiosConfig);
+
+  let out = response.data;
+  if (op.responseField) out = out[op.responseField];
+  if (op.transform) out = op.transform(out);
+  return out;
+}
+
+// What a call would send, without sending it (dryRun). REST operations describe their
+// request(s); handlers may implement preview() (Sheets row operations read the current
+// row there, Gmail sends show the decoded message). Tokens are never refreshed for a
+// preview. Secrets are masked.
+async function previewOperation({ block, op, params, credentials, limited }) {
+  if (op.execute) {
+    const preview = op.preview
+      ? await op.preview({ credentials, inputs: params, call: limited })
+      : { request: null };
+    return redactSecrets(preview, credentials);
+  }
+
+  const config = block.config || {};
+  const describe = (inputs) => ({
+    method: op.method.toUpperCase(),
+    url: op.buildUrl({ inputs, config, credentials }),
+    headers: op.buildHeaders({ credentials }),
+    ...(op.buildPayload && { payload: op.buildPayload({ inputs }) }),
+  });
+  if (op.pagination) {
+    // Later pages follow each response's cursor, so only the first request is known
+    const request = describe(params);
+    const pageSize = params.fetchAll ? Math.min(params.pageSize, params.maxItems) : params.pageSize;
+    request.url = pageUrl(request.url, op.pagination, params.cursor, pageSize);
+    return redactSecrets({ request }, credentials);
+  }
+  if (!op.batch) return redactSecrets({ request: describe(params) }, credentials);
+
+  const { itemsField, size } = op.batch;
+  const requests = [];
+  for (let start = 0; start < params[itemsField].length; start += size)
+    requests.push(describe({ ...params, [itemsField]: params[itemsField].slice(start, start + size) }));
+  return redactSecrets({ requests }, credentials);
+}
+
+// executeBlock without the audit log entry.
+async function runBlock({
+  workspaceId,
+  blockId,
+  operation,
+  params,
+  connectionId,
+  credentials,
+  mapping,
+  useCache = false,
+  dryRun = false,
+  source,
+  actor,
+}) {
+  const block = getBlock(blockId);
+  if (!block) throw createHttpError(400, "Block not found", { code: "BLOCK_NOT_FOUND" });
+  const op = Object.hasOwn(block.operations, operation) ? block.operations[operation] : null;
+  if (!op) throw createHttpError(400, "Operation not found", { code: "OPERATION_NOT_FOUND" });
+
+  const { values, errors } = validateInputs(op.inputSchema, params);
+  if (errors.length) throw createHttpError(422, "Invalid inputs", { fields: errors });
+  const mappingErrors = validateMapping(mapping);
+  if (mappingErrors.length) throw createHttpError(422, "Invalid mapping", { fields: mappingErrors });
+
+  let resolvedCredentials = { ...(credentials || {}) };
+  if (connectionId) {
+    resolvedCredentials = getConnectionCredentials(workspaceId, connectionId);
+    if (!resolvedCredentials)
+      throw createHttpError(404, "Connection not found", { code: "CONNECTION_NOT_FOUND" });
+  }
+
+  const scope = cacheScope({
+    blockId,
+    block,
+    op,
+    operation,
+    inputs: values,
+    credentials: resolvedCredentials,
+  });
+  if (isRead(op) && useCache && !dryRun) {
+    const cached = await getCached(scope);
+    if (cached) {
+      const result = applyMapping(cached.value, mapping);
+      const etag = mapping ? etagOf(result) : cached.etag;
+      const cache = { status: "HIT", etag, expiresAt: cached.expiresAt };
+      return { result, refreshedTokens: null, cache };
+    }
+  }
+
+  // Each upstream request waits for the credential's rate limit and is retried per policy.
+  // Handlers get this as `call` and wrap every request they make (Google clients do it
+  // for them, see wrapApiClient), so a multi-request handler is never re-run as a whole.
+  const policy = resolvePolicy(block, op);
+  const limited = (fn) =>
+    withRetries({ service: op.service, policy }, async () => {
+      await acquire(op.service, resolvedCredentials, policy.rateLimit);
+      return trackUpstream(op.service, fn);
+    });
+
+  const inputs = { ...values };
+  if (op.execute) prepareHandlerInputs({ op, params: values, credentials: resolvedCredentials });
+  let run = op.execute
+    ? () => op.execute({ credentials: resolvedCredentials, inputs: values, call: limited })
+    : () =>
+        runRequest({
+          block,
+          op,
+          params: values,
+          credentials: resolvedCredentials,
+          send: (axiosConfig) => limited(() => axios(axiosConfig)),
+        });
+  if (dryRun)
+    run = () =>
+      previewOperation({ block, op, params: values, credentials: resolvedCredentials, limited });
+
+  const oauthEvent = { workspaceId, source, actor, event: "token_refreshed", connectionId };
+  let outcome;
+  try {
+    outcome = await withTokenRefresh(
+      {
+        // A dry run never refreshes: that is a real upstream call, saved on the connection
+        refreshTokens: dryRun ? null : getTokenRefresher(op, resolvedCredentials),
+        credentials: resolvedCredentials,
+        onTokensRefreshed: (tokens, startedAt) => {
+          if (connectionId) updateConnectionCredentials(workspaceId, connectionId, tokens);
+          recordOAuthEvent({ ...oauthEvent, startedAt });
+        },
+        onRefreshFailed: (error, startedAt) => recordOAuthEvent({ ...oauthEvent, startedAt, error }),
+      },
+      run
+    );
+  } catch (err) {
+    throw mapUpstreamError(op.service, err);
+  } finally {
+    if (isWrite(op) && !dryRun) await invalidateResource(scope);
+  }
+
+  if (dryRun) {
+    const preview = { dryRun: true, blockId, operation, inputs, ...outcome.result };
+    return { result: preview, refreshedTokens: outcome.refreshedTokens, cache: null };
+  }
+
+  // The cache keeps the unmapped envelope; each caller's mapping is applied on the way out
+  const envelope = toEnvelope(outcome.result);
+  const result = applyMapping(envelope, mapping);
+  const { refreshedTokens } = outcome;
+  if (!isRead(op)) return { result, refreshedTokens, cache: null };
+  const entry = await putCached(scope, envelope, op.cache.ttlSeconds);
+  const etag = mapping ? etagOf(result) : entry.etag;
+  return { result, refreshedTokens, cache: { status: "MISS", etag, expiresAt: entry.expiresAt } };
+}
+
+/**
+ * Executes `operation` of `blockId` with `params`, using either a stored connection
+ * (`connectionId`, scoped to `workspaceId`) or raw `credentials`.
+ * Resolves to { result, refreshedTokens, cache }. `result` is the record envelope
+ * { records, nextCursor, meta } (see resultMapping.js), with the caller's `mapping`
+ * applied to its records. refreshedTokens is set when an OAuth token (Google or a
+ * declarative oauth2 block) was refreshed along the way (stored connections are updated
+ * automatically). Upstream failures are rethrown as normalized HTTP errors (see
+ * upstreamErrors.js).
+ *
+ * Cacheable reads are answered from responseCache.js when `useCache` is set; `cache` is
+ * then { status: "HIT" | "MISS", etag, expiresAt } (null for other operations).
+ *
+ * Every call, successful or not, is recorded in the execution log with its `source`
+ * ("api", "workflow", "trigger") and `actor`, and counted in metrics.js.
+ *
+ * With `dryRun` nothing is written upstream: `result` is { dryRun, blockId, operation,
+ * inputs, request | requests, ... } as built by previewOperation.
+ */
+async function executeBlock(options) {
+  const startedAt = Date.now();
+  const { blockId, operation, source } = options;
+  const block = getBlock(blockId);
+  const op = block && Object.hasOwn(block.operations, operation) ? block.operations[operation] : null;
+  // Unknown ids come straight from callers; keep them out of the metric labels
+  const labels = op
+    ? { blockId, operation, service: op.service || "" }
+    : { blockId: "unknown", operation: "unknown", service: "" };
+  try {
+    const outcome = await runBlock(options);
+    recordBlockExecution({ ...options, startedAt, result: outcome.result, cache: outcome.cache });
+    recordBlockMetrics({ ...labels, startedAt });
+    return outcome;
+  } catch (error) {
+    recordBlockExecution({ ...options, startedAt, error });
+    recordBlockMetrics({ ...labels, startedAt, error });
+    logger.warn("Block execution failed", { blockId, operation, source, error });
+    throw error;
+  }
+}
+
+module.exports = { executeBlock };
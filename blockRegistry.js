@@ -0,0 +1,182 @@
+// blockRegistry.js
+// All executable blocks: the core ones from blockConfigs.js plus plugin blocks loaded at
+// startup from PLUGINS_DIR (default ./plugins; one .js file or package directory each)
+// and from the npm packages listed in BLOCK_PLUGINS (comma separated), plus declarative
+// definitions saved through the API (registered as "custom.<id>").
+//
+// A plugin module exports { namespace?, blocks: { [id]: block } } and its blocks are
+// registered as "<namespace>.<id>" (namespace defaults to the file/package name).
+// Handler operations implement execute({ credentials, inputs, call }) and should make
+// each upstream request through call(() => request) so rate limits and retries apply.
+// .json/.yaml/.yml plugin files have the same shape but hold declarative definitions
+// (see declarativeBlocks.js) instead of JS blocks.
+// Invalid plugins and duplicate ids are rejected with an error; they never replace
+// existing blocks.
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const coreBlocks = require("./blockConfigs");
+const { validateDeclarativeBlock, compileDeclarativeBlock } = require("./declarativeBlocks");
+const { listBlockDefinitions } = require("./blockDefinitionStore");
+const { logger } = require("./logger");
+
+const PLUGINS_DIR = process.env.PLUGINS_DIR || path.join(__dirname, "plugins");
+const SCHEMA_TYPES = ["string", "number", "integer", "boolean", "object", "array"];
+const DEFINITION_FILE = /\.(json|ya?ml)$/;
+
+let blocks = { ...coreBlocks };
+let pluginErrors = [];
+
+function validateSchema(schema, where, errors) {
+  if (schema === undefined) return;
+  if (!schema || typeof schema !== "object" || Array.isArray(schema))
+    return errors.push(`${where}: inputSchema must be an object`);
+  for (const [name, spec] of Object.entries(schema)) {
+    if (!spec || typeof spec !== "object") errors.push(`${where}.${name}: must be an object`);
+    else if (spec.type && !SCHEMA_TYPES.includes(spec.type))
+      errors.push(`${where}.${name}: unknown type "${spec.type}"`);
+    else if (spec.properties) validateSchema(spec.properties, `${where}.${name}`, errors);
+  }
+}
+
+// Returns a list of problems with a block definition (empty when valid).
+function validateBlock(blockId, block) {
+  const errors = [];
+  if (!block || typeof block !== "object") return [`${blockId}: must be an object`];
+  const operations = block.operations;
+  if (!operations || typeof operations !== "object" || !Object.keys(operations).length)
+    return [`${blockId}: operations must be a non-empty object`];
+
+  for (const [name, op] of Object.entries(operations)) {
+    const where = `${blockId}.${name}`;
+    if (!op || typeof op !== "object") {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+    if (typeof op.method !== "string") errors.push(`${where}: method is required`);
+    const isRest = typeof op.buildUrl === "function" && typeof op.buildHeaders === "function";
+    if (typeof op.execute !== "function" && !isRest)
+      errors.push(`${where}: needs execute() or buildUrl() and buildHeaders()`);
+    if (op.buildPayload !== undefined && typeof op.buildPayload !== "function")
+      errors.push(`${where}: buildPayload must be a function`);
+    if (op.preview !== undefined && typeof op.preview !== "function")
+      errors.push(`${where}: preview must be a function`);
+    validateSchema(op.inputSchema, `${where}.inputSchema`, errors);
+  }
+  return errors;
+}
+
+const toNamespace = (name) =>
+  name
+    .replace(/^@/, "")
+    .replace(/\.(js|json|ya?ml)$/, "")
+    .replace(/[^A-Za-z0-9_-]+/g, "-");
+
+// Validates and compiles every declarative definition in `plugin.blocks`.
+function compileDefinitions(plugin) {
+  if (!plugin || typeof plugin.blocks !== "object") return plugin;
+  const errors = Object.entries(plugin.blocks).flatMap(([id, definition]) =>
+    validateDeclarativeBlock(id, definition)
+  );
+  if (errors.length) throw new Error(errors.join("; "));
+  const blocks = Object.fromEntries(
+    Object.entries(plugin.blocks).map(([id, definition]) => [id, compileDeclarativeBlock(definition)])
+  );
+  return { ...plugin, blocks };
+}
+
+function readPlugin(source) {
+  if (!DEFINITION_FILE.test(source)) return require(source);
+  const text = fs.readFileSync(source, "utf8");
+  return compileDefinitions(source.endsWith(".json") ? JSON.parse(text) : YAML.parse(text));
+}
+
+// Adds one plugin's blocks to `registry`, or records why it was rejected.
+function registerPlugin(registry, plugin, source, errors) {
+  if (!plugin || typeof plugin.blocks !== "object")
+    return errors.push(`${source}: must export { blocks }`);
+  const namespace = toNamespace(plugin.namespace || path.basename(source));
+  const pluginErrors = [];
+  const entries = Object.entries(plugin.blocks).map(([id, block]) => [`${namespace}.${id}`, block]);
+  for (const [blockId, block] of entries) {
+    if (registry[blockId]) pluginErrors.push(`${blockId}: duplicate block id`);
+    pluginErrors.push(...validateBlock(blockId, block));
+  }
+  if (pluginErrors.length) return errors.push(...pluginErrors.map((error) => `${source}: ${error}`));
+  entries.forEach(([blockId, block]) => (registry[blockId] = block));
+}
+
+function pluginSources() {
+  const sources = [];
+  if (fs.existsSync(PLUGINS_DIR)) {
+    for (const entry of fs.readdirSync(PLUGINS_DIR, { withFileTypes: true })) {
+      if (entry.isDirectory() || entry.name.endsWith(".js") || DEFINITION_FILE.test(entry.name))
+        sources.push(path.join(PLUGINS_DIR, entry.name));
+    }
+  }
+  (process.env.BLOCK_PLUGINS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .forEach((name) => sources.push(name));
+  return sources;
+}
+
+// (Re)loads every plugin and saved definition. Local plugin files are re-required fresh
+// each time.
+function loadPlugins() {
+  Object.keys(require.cache)
+    .filter((file) => file.startsWith(PLUGINS_DIR + path.sep))
+    .forEach((file) => delete require.cache[file]);
+
+  const registry = { ...coreBlocks };
+  const errors = [];
+  for (const source of pluginSources()) {
+    try {
+      registerPlugin(registry, readPlugin(source), source, errors);
+    } catch (err) {
+      errors.push(`${source}: failed to load (${err.message})`);
+    }
+  }
+  for (const { id, definition } of listBlockDefinitions()) {
+    const source = `blockDefinitions/${id}`;
+    try {
+      const plugin = compileDefinitions({ namespace: "custom", blocks: { [id]: definition } });
+      registerPlugin(registry, plugin, source, errors);
+    } catch (err) {
+      errors.push(`${source}: failed to load (${err.message})`);
+    }
+  }
+  blocks = registry;
+  pluginErrors = errors;
+  errors.forEach((error) => logger.error("Block plugin rejected", { error }));
+  const pluginBlockIds = Object.keys(registry).filter((id) => !coreBlocks[id]);
+  return { pluginBlockIds, errors };
+}
+
+// In development, reload plugins whenever a file in PLUGINS_DIR changes.
+function watchPlugins() {
+  if (!fs.existsSync(PLUGINS_DIR)) return;
+  let timer = null;
+  fs.watch(PLUGINS_DIR, { recursive: true }, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const { pluginBlockIds } = loadPlugins();
+      logger.info("Reloaded block plugins", { pluginBlockIds });
+    }, 200);
+  });
+}
+
+const getBlock = (blockId) => (Object.hasOwn(blocks, blockId) ? blocks[blockId] : null);
+const getBlocks = () => blocks;
+// Why plugins were rejected on the last load (for the readiness check)
+const getPluginErrors = () => pluginErrors;
+
+module.exports = {
+  validateBlock,
+  loadPlugins,
+  watchPlugins,
+  getBlock,
+  getBlocks,
+  getPluginErrors,
+};
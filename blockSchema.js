@@ -0,0 +1,91 @@
+// blockSchema.js
+// Validates block operation inputs against the operation's declarative `inputSchema`.
+//
+// A schema maps field names to specs:
+//   { type: "string" | "number" | "integer" | "boolean" | "object" | "array",
+//     required, default, enum, min, max, label, description,
+//     properties: {...nested schema for objects}, items: {...spec for array items} }
+// min/max bound numbers by value and strings/arrays by length.
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+// Form posts often send numbers/booleans as strings; accept the obvious cases.
+function coerce(value, type) {
+  if (typeof value !== "string") return value;
+  if ((type === "number" || type === "integer") && value.trim() !== "" && !isNaN(Number(value)))
+    return Number(value);
+  if (type === "boolean" && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function validateValue(spec, rawValue, field, errors) {
+  if (isMissing(rawValue)) {
+    if (spec.default !== undefined) return spec.default;
+    if (spec.required) errors.push({ field, message: "is required" });
+    return rawValue;
+  }
+
+  const value = coerce(rawValue, spec.type);
+  if (spec.type && !checkType(value, spec.type)) {
+    errors.push({ field, message: `must be of type ${spec.type}` });
+    return value;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${spec.enum.join(", ")}` });
+    return value;
+  }
+
+  const size = typeof value === "number" ? value : value.length;
+  if (size !== undefined) {
+    const unit = typeof value === "number" ? "" : " in length";
+    if (spec.min !== undefined && size < spec.min)
+      errors.push({ field, message: `must be at least ${spec.min}${unit}` });
+    if (spec.max !== undefined && size > spec.max)
+      errors.push({ field, message: `must be at most ${spec.max}${unit}` });
+  }
+
+  if (spec.type === "object" && spec.properties)
+    return { ...value, ...validateObject(spec.properties, value, `${field}.`, errors) };
+  if (spec.type === "array" && spec.items)
+    return value.map((item, i) => validateValue(spec.items, item, `${field}[${i}]`, errors));
+  return value;
+}
+
+function validateObject(schema, input, prefix, errors) {
+  const values = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = validateValue(spec, input[name], `${prefix}${name}`, errors);
+    if (value !== undefined) values[name] = value;
+  }
+  return values;
+}
+
+// Returns { values, errors }. `values` keeps unknown fields untouched and applies
+// coercion and defaults to declared ones; `errors` is a list of { field, message }.
+function validateInputs(schema = {}, params) {
+  const input = params || {};
+  const errors = [];
+  const values = { ...input, ...validateObject(schema, input, "", errors) };
+  return { values, errors };
+}
+
+module.exports = { validateInputs };
@@ -0,0 +1,93 @@
+// connectionStore.js
+// Per-workspace "connections": named credential sets for a service, encrypted at rest.
+// Decrypted credentials are only ever handed to block execution, never to the client.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+const { encrypt, decrypt } = require("./secrets");
+
+const store = createStore("connections");
+
+// Credential keys each connection type must provide. The generic types back declarative
+// REST blocks (see declarativeBlocks.js), whose credentialType defaults to their auth type.
+const CONNECTION_TYPES = {
+  airtable: ["apiKey"],
+  google: ["client_id", "client_secret", "access_token"],
+  bearer: ["token"],
+  basic: ["username", "password"],
+  apiKey: ["apiKey"],
+  oauth2: ["access_token"],
+};
+
+const toSummary = ({ secret, ...connection }) => connection;
+
+const findConnection = (workspaceId, id) => {
+  const connection = store.get(id);
+  return connection && connection.workspaceId === workspaceId ? connection : null;
+};
+
+function validateConnection({ type, credentials }) {
+  const requiredKeys = CONNECTION_TYPES[type];
+  if (!requiredKeys) return `Unknown connection type "${type}"`;
+  if (!credentials || typeof credentials !== "object") return "Missing credentials";
+  const missing = requiredKeys.filter((key) => !credentials[key]);
+  if (missing.length) return `Missing credentials: ${missing.join(", ")}`;
+  return null;
+}
+
+function createConnection({ workspaceId, name, type, credentials }) {
+  const now = new Date().toISOString();
+  const connection = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    name: name || type,
+    type,
+    createdAt: now,
+    updatedAt: now,
+    secret: encrypt(credentials),
+  };
+  store.set(connection.id, connection);
+  return toSummary(connection);
+}
+
+function listConnections(workspaceId) {
+  return store.list((connection) => connection.workspaceId === workspaceId).map(toSummary);
+}
+
+function getConnection(workspaceId, id) {
+  const connection = findConnection(workspaceId, id);
+  return connection ? toSummary(connection) : null;
+}
+
+function getConnectionCredentials(workspaceId, id) {
+  const connection = findConnection(workspaceId, id);
+  return connection ? decrypt(connection.secret) : null;
+}
+
+// Merges new values (e.g. a refreshed access token) into the stored credentials.
+function updateConnectionCredentials(workspaceId, id, changes) {
+  const connection = findConnection(workspaceId, id);
+  if (!connection) return null;
+  const credentials = { ...decrypt(connection.secret), ...changes };
+  store.set(id, {
+    ...connection,
+    updatedAt: new Date().toISOString(),
+    secret: encrypt(credentials),
+  });
+  return credentials;
+}
+
+function deleteConnection(workspaceId, id) {
+  if (!findConnection(workspaceId, id)) return false;
+  return store.delete(id);
+}
+
+module.exports = {
+  CONNECTION_TYPES,
+  validateConnection,
+  createConnection,
+  listConnections,
+  getConnection,
+  getConnectionCredentials,
+  updateConnectionCredentials,
+  deleteConnection,
+};
@@ -0,0 +1,183 @@
+// declarativeBlocks.js
+// Compiles pure-data (JSON/YAML) REST block definitions into regular blocks, so the
+// generic REST path in blockExecutor can run them. Example:
+//
+//   name: Acme CRM
+//   baseUrl: https://api.acme.com/v1
+//   auth: { type: apiKey, in: header, name: X-API-Key }
+//   operations:
+//     list:
+//       method: GET
+//       url: "{{config.baseUrl}}/contacts"
+//       query: { status: "{{inputs.status}}" }
+//       inputSchema: { status: { type: string, enum: [open, closed] } }
+//       responsePath: data.items
+//       mapping: { id: id, name: attributes.full_name }
+//
+// `url` and `query` templates see { inputs, config }, `headers` see { credentials } and
+// `body` sees { inputs }. Input values substituted into `url` are URI-encoded; empty `query`
+// values are dropped. `pagination` and `batch` are passed through unchanged (they are
+// already plain data), as are label, method, service, inputSchema and the retry options
+// (`retry`, `rateLimit`, `idempotent`; see retryPolicy.js), which may also be set on the
+// whole block.
+//
+// auth.type (connection credential keys in brackets):
+//   none    no credentials
+//   bearer  Authorization: Bearer <token>                         [token]
+//   basic   Authorization: Basic base64(<username>:<password>)    [username, password]
+//   apiKey  <apiKey> sent as header or query parameter auth.name  [apiKey]
+//   oauth2  Bearer <access_token>, refreshed at auth.tokenUrl     [access_token, refresh_token,
+//                                                                  client_id, client_secret]
+//
+// Request URLs and tokenUrl must pass outboundPolicy.js (https to public hosts, unless
+// listed in REST_ALLOWED_HOSTS).
+const axios = require("axios");
+const { getPath, renderTemplate } = require("./templates");
+const { assertAllowedUrl, outboundRequestOptions } = require("./outboundPolicy");
+
+const AUTH_TYPES = ["none", "bearer", "basic", "apiKey", "oauth2"];
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Input values are URI-encoded; config values (e.g. the base URL) are used verbatim.
+const renderUrl = (template, context) =>
+  template.replace(TEMPLATE_PATTERN, (_, path) => {
+    const value = getPath(context, path) ?? "";
+    return path.startsWith("inputs.") ? encodeURIComponent(value) : value;
+  });
+
+function authHeaders(auth, credentials) {
+  switch (auth.type) {
+    case "bearer":
+      return { Authorization: `Bearer ${credentials.token}` };
+    case "oauth2":
+      return { Authorization: `Bearer ${credentials.access_token}` };
+    case "basic": {
+      const encoded = Buffer.from(`${credentials.username}:${credentials.password}`).toString("base64");
+      return { Authorization: `Basic ${encoded}` };
+    }
+    case "apiKey":
+      return auth.in === "query" ? {} : { [auth.name]: credentials.apiKey };
+    default:
+      return {};
+  }
+}
+
+function mapItem(item, mapping) {
+  return Object.fromEntries(Object.entries(mapping).map(([key, path]) => [key, getPath(item, path)]));
+}
+
+function oauth2Refresher(auth) {
+  return async (credentials) => {
+    const body = new URLSearchParams({
+      grant_type: "refresh_token",
+      refresh_token: credentials.refresh_token,
+      ...(credentials.client_id && { client_id: credentials.client_id }),
+      ...(credentials.client_secret && { client_secret: credentials.client_secret }),
+    });
+    assertAllowedUrl(auth.tokenUrl);
+    const { data } = await axios.post(auth.tokenUrl, body.toString(), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      ...outboundRequestOptions,
+    });
+    return {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token || credentials.refresh_token,
+      expires_at: data.expires_in ? Date.now() + data.expires_in * 1000 : undefined,
+      token_type: data.token_type || "Bearer",
+    };
+  };
+}
+
+// Problems with a declarative definition before compiling (empty when valid).
+function validateDeclarativeBlock(blockId, definition) {
+  const errors = [];
+  if (!definition || typeof definition !== "object") return [`${blockId}: must be an object`];
+  const auth = definition.auth || { type: "none" };
+  if (!AUTH_TYPES.includes(auth.type))
+    errors.push(`${blockId}: auth.type must be one of: ${AUTH_TYPES.join(", ")}`);
+  if (auth.type === "apiKey" && !auth.name) errors.push(`${blockId}: auth.name is required for apiKey`);
+  if (auth.type === "oauth2" && !auth.tokenUrl)
+    errors.push(`${blockId}: auth.tokenUrl is required for oauth2`);
+  // Checked again on every request; this just reports obviously bad hosts early
+  for (const [field, url] of [["auth.tokenUrl", auth.tokenUrl], ["baseUrl", definition.baseUrl]]) {
+    if (typeof url !== "string") continue;
+    try {
+      assertAllowedUrl(url);
+    } catch (err) {
+      errors.push(`${blockId}: ${field} - ${err.message}`);
+    }
+  }
+  const operations = definition.operations;
+  if (!operations || typeof operations !== "object" || !Object.keys(operations).length)
+    return [...errors, `${blockId}: operations must be a non-empty object`];
+  for (const [name, op] of Object.entries(operations)) {
+    if (!op || typeof op.url !== "string") errors.push(`${blockId}.${name}: url is required`);
+    if (!op || typeof op.method !== "string") errors.push(`${blockId}.${name}: method is required`);
+  }
+  return errors;
+}
+
+function compileOperation(definition, auth) {
+  const {
+    url,
+    query = {},
+    headers = {},
+    body,
+    responsePath,
+    mapping,
+    ...rest // label, method, service, inputSchema, pagination, batch, ...
+  } = definition;
+  const op = {
+    ...rest,
+    service: rest.service || "rest",
+    buildUrl: ({ inputs, config, credentials }) => {
+      const built = new URL(renderUrl(url, { inputs, config }));
+      for (const [key, template] of Object.entries(query)) {
+        const value = renderTemplate(template, { inputs, config });
+        if (value !== undefined && value !== null && value !== "") built.searchParams.append(key, value);
+      }
+      if (auth.type === "apiKey" && auth.in === "query")
+        built.searchParams.set(auth.name, credentials.apiKey);
+      assertAllowedUrl(built.toString());
+      return built.toString();
+    },
+    requestOptions: outboundRequestOptions,
+    buildHeaders: ({ credentials }) => ({
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...renderTemplate(headers, { credentials }),
+      ...authHeaders(auth, credentials),
+    }),
+    // Paginated operations run this on every page; their records default to itemsField
+    transform: (data) => {
+      const path = responsePath || rest.pagination?.itemsField;
+      const out = path ? getPath(data, path) : data;
+      if (!mapping) return out;
+      return Array.isArray(out) ? out.map((item) => mapItem(item, mapping)) : mapItem(out, mapping);
+    },
+  };
+  if (body !== undefined) op.buildPayload = ({ inputs }) => renderTemplate(body, { inputs });
+  if (auth.type === "oauth2") op.refreshTokens = oauth2Refresher(auth);
+  return op;
+}
+
+// Turns a validated declarative definition into a block usable by blockExecutor and
+// blockCatalog. credentialType defaults to the auth type (see CONNECTION_TYPES).
+function compileDeclarativeBlock(definition) {
+  const auth = definition.auth || { type: "none" };
+  const operations = Object.fromEntries(
+    Object.entries(definition.operations).map(([name, op]) => [name, compileOperation(op, auth)])
+  );
+  return {
+    name: definition.name,
+    description: definition.description,
+    icon: definition.icon,
+    credentialType: definition.credentialType || (auth.type === "none" ? null : auth.type),
+    declarative: true,
+    retry: definition.retry,
+    rateLimit: definition.rateLimit,
+    operations,
+    config: { ...definition.config, baseUrl: definition.baseUrl },
+  };
+}
+
+module.exports = { validateDeclarativeBlock, compileDeclarativeBlock };
@@ -0,0 +1,49 @@
+// errors.js
+// Errors thrown during block execution that should map to a specific HTTP response,
+// and the normalized error envelope every route answers with:
+//
+//   { error, code, upstreamStatus, upstreamBody, retryable, requiresReauth, ...details }
+//
+// upstreamStatus/upstreamBody are set when a third-party API rejected the call (see
+// upstreamErrors.js); `retryable` says whether repeating the same call may succeed.
+
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  422: "VALIDATION_FAILED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+  504: "UPSTREAM_TIMEOUT",
+};
+
+const errorCode = (statusCode) =>
+  ERROR_CODES[statusCode] || (statusCode >= 500 ? "INTERNAL_ERROR" : "ERROR");
+
+// `details` is merged into the JSON error body next to `error` (and may override `code`).
+function createHttpError(statusCode, message, details = {}) {
+  return Object.assign(new Error(message), { statusCode, details });
+}
+
+// The envelope fields for `err`, with defaults for errors that did not set them.
+function errorDetails(err) {
+  const statusCode = err.statusCode || 500;
+  return {
+    code: errorCode(statusCode),
+    upstreamStatus: null,
+    upstreamBody: null,
+    retryable: false,
+    requiresReauth: false,
+    ...err.details,
+  };
+}
+
+const errorBody = (err, fallbackMessage) => ({
+  error: err.message || fallbackMessage,
+  ...errorDetails(err),
+});
+
+module.exports = { errorCode, createHttpError, errorDetails, errorBody };
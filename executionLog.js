@@ -0,0 +1,270 @@
+// executionLog.js
+// Persisted audit log of every block call (API, workflows, webhooks, triggers) and every
+// OAuth event, for support tickets and compliance reviews. Inputs are stored redacted
+// and truncated, results only as a summary (record count and ids). Each workspace keeps
+// its newest EXECUTION_LOG_LIMIT (default 2000) entries, so a busy workspace cannot push
+// out another's history.
+//
+// Entries are kept in memory and appended to DATA_DIR/executions.jsonl (one JSON entry
+// per line) in the background, a batch at a time, instead of rewriting a whole file on
+// every call. Once pruned entries make up most of the file it is rewritten in one go.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./jsonStore");
+const { redactSecrets } = require("./redaction");
+const { errorDetails } = require("./errors");
+const { logger, getLogContext } = require("./logger");
+
+const LOG_FILE = path.join(DATA_DIR, "executions.jsonl");
+// Written by earlier versions as a jsonStore; read once and migrated
+const LEGACY_FILE = path.join(DATA_DIR, "executions.json");
+
+const LIMIT = Number(process.env.EXECUTION_LOG_LIMIT) || 2000;
+const FLUSH_DELAY_MS = 200;
+const MAX_STRING_LENGTH = 500;
+const MAX_RECORD_IDS = 20;
+
+// Query parameters accepted by GET /executions (checked with validateInputs).
+const EXECUTION_QUERY_SCHEMA = {
+  kind: { type: "string", enum: ["block", "oauth"] },
+  status: { type: "string", enum: ["success", "failed"] },
+  source: { type: "string" },
+  blockId: { type: "string" },
+  operation: { type: "string" },
+  connectionId: { type: "string" },
+  since: { type: "string", description: "ISO timestamp" },
+  until: { type: "string", description: "ISO timestamp" },
+  pageSize: { type: "integer", min: 1, max: 100, default: 50 },
+  cursor: { type: "string" },
+};
+
+function truncate(value) {
+  if (typeof value === "string" && value.length > MAX_STRING_LENGTH)
+    return `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`;
+  if (Array.isArray(value)) return value.map(truncate);
+  if (value && typeof value === "object")
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, truncate(entry)]));
+  return value;
+}
+
+// Oldest first, per workspace; byId shares the same objects, in insertion order.
+const byWorkspace = new Map();
+const byId = new Map();
+let pendingLines = [];
+let staleLines = 0;
+let flushTimer = null;
+let compacting = false;
+let writing = Promise.resolve();
+
+function remember(execution) {
+  byId.set(execution.id, execution);
+  const key = execution.workspaceId ?? null;
+  if (!byWorkspace.has(key)) byWorkspace.set(key, []);
+  const entries = byWorkspace.get(key);
+  entries.push(execution);
+  // Prune in batches so the array is not spliced on every call
+  if (entries.length > LIMIT * 1.1) {
+    const dropped = entries.splice(0, entries.length - LIMIT);
+    dropped.forEach((old) => byId.delete(old.id));
+    staleLines += dropped.length;
+  }
+}
+
+function load() {
+  if (fs.existsSync(LOG_FILE)) {
+    const lines = fs.readFileSync(LOG_FILE, "utf8").split("\n").filter(Boolean);
+    lines.forEach((line) => {
+      try {
+        remember(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash mid-write
+      }
+    });
+    staleLines = lines.length - byId.size;
+  }
+  if (fs.existsSync(LEGACY_FILE)) {
+    Object.values(JSON.parse(fs.readFileSync(LEGACY_FILE, "utf8")))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(remember);
+    writeAllSync();
+    fs.unlinkSync(LEGACY_FILE);
+  }
+}
+
+const serialize = (execution) => `${JSON.stringify(execution)}\n`;
+
+function writeAllSync() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(`${LOG_FILE}.tmp`, [...byId.values()].map(serialize).join(""));
+  fs.renameSync(`${LOG_FILE}.tmp`, LOG_FILE);
+  pendingLines = [];
+  staleLines = 0;
+}
+
+// Writes are chained so appends and rewrites never interleave.
+function enqueueWrite(write) {
+  writing = writing
+    .then(write)
+    .catch((error) => logger.error("Execution log write failed", { file: LOG_FILE, error }));
+}
+
+function flush() {
+  flushTimer = null;
+  if (staleLines > byId.size) {
+    compacting = true;
+    enqueueWrite(async () => {
+      // Everything in memory, including lines not appended yet
+      const content = [...byId.values()].map(serialize).join("");
+      pendingLines = [];
+      staleLines = 0;
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(`${LOG_FILE}.tmp`, content);
+      await fs.promises.rename(`${LOG_FILE}.tmp`, LOG_FILE);
+      compacting = false;
+    });
+    return;
+  }
+  enqueueWrite(async () => {
+    if (!pendingLines.length) return;
+    const content = pendingLines.join("");
+    pendingLines = [];
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.appendFile(LOG_FILE, content);
+  });
+}
+
+// Whatever is still buffered when the process exits is written synchronously.
+process.on("exit", () => {
+  if (compacting) writeAllSync();
+  else if (pendingLines.length) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(LOG_FILE, pendingLines.join(""));
+  }
+});
+
+load();
+
+function append(entry) {
+  const execution = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    requestId: getLogContext().requestId || null,
+    ...entry,
+  };
+  remember(execution);
+  pendingLines.push(serialize(execution));
+  if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS).unref();
+  return execution;
+}
+
+const errorSummary = (err) =>
+  err ? { message: err.message, code: errorDetails(err).code, statusCode: err.statusCode || 500 } : null;
+
+function summarizeResult(result) {
+  if (!result || !Array.isArray(result.records)) return null;
+  return {
+    recordCount: result.records.length,
+    recordIds: result.records
+      .map((record) => record?.id)
+      .filter((id) => id !== undefined && id !== null)
+      .slice(0, MAX_RECORD_IDS),
+  };
+}
+
+// What is kept of a block result elsewhere (workflow run history): record envelopes as
+// their summary, anything else truncated; forEach steps produce an array of results.
+const summarizeOutput = (output) =>
+  Array.isArray(output) ? output.map(summarizeOutput) : summarizeResult(output) || truncate(output);
+
+function recordBlockExecution({
+  workspaceId,
+  source,
+  actor,
+  blockId,
+  operation,
+  connectionId,
+  params,
+  credentials,
+  dryRun,
+  startedAt,
+  result,
+  cache,
+  error,
+}) {
+  return append({
+    kind: "block",
+    workspaceId,
+    source,
+    actor: actor || null,
+    blockId,
+    operation,
+    connectionId: connectionId || null,
+    inputs: truncate(redactSecrets(params || {}, credentials)),
+    dryRun: Boolean(dryRun),
+    status: error ? "failed" : "success",
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    cache: cache?.status || null,
+    upstreamStatus: error?.details?.upstreamStatus ?? null,
+    error: errorSummary(error),
+    result: dryRun ? null : summarizeResult(result),
+  });
+}
+
+// event: "callback" | "refresh" | "token_refreshed" (automatic refresh during a call)
+function recordOAuthEvent({ workspaceId, source, actor, event, connectionId, startedAt, error }) {
+  return append({
+    kind: "oauth",
+    workspaceId,
+    source,
+    actor: actor || null,
+    event,
+    connectionId: connectionId || null,
+    status: error ? "failed" : "success",
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    upstreamStatus: error?.response?.status ?? error?.details?.upstreamStatus ?? null,
+    error: errorSummary(error),
+  });
+}
+
+const getExecution = (workspaceId, id) => {
+  const execution = byId.get(id);
+  return execution && execution.workspaceId === workspaceId ? execution : null;
+};
+
+/**
+ * Newest first, filtered by the EXECUTION_QUERY_SCHEMA fields. The cursor is the id of
+ * the last entry on the previous page, so entries logged between pages do not shift
+ * them; resolves to the usual { records, nextCursor, meta } envelope.
+ */
+function listExecutions(workspaceId, { pageSize, cursor, since, until, ...query }) {
+  const entries = byWorkspace.get(workspaceId) || [];
+  // Other query parameters (cache busters and the like) are not filters
+  const filters = Object.entries(query).filter(
+    ([key, value]) => Object.hasOwn(EXECUTION_QUERY_SCHEMA, key) && value !== undefined
+  );
+  const matches = (execution) =>
+    filters.every(([key, value]) => execution[key] === value) &&
+    (!since || execution.createdAt >= new Date(since).toISOString()) &&
+    (!until || execution.createdAt <= new Date(until).toISOString());
+  // A cursor whose entry has since been pruned was older than everything left
+  const end = cursor ? entries.indexOf(getExecution(workspaceId, cursor)) : entries.length;
+  const older = entries.slice(0, Math.max(end, 0)).filter(matches).reverse();
+  const records = older.slice(0, pageSize);
+  return {
+    records,
+    nextCursor: older.length > pageSize ? records[records.length - 1].id : null,
+    meta: { total: entries.filter(matches).length },
+  };
+}
+
+module.exports = {
+  EXECUTION_QUERY_SCHEMA,
+  recordBlockExecution,
+  recordOAuthEvent,
+  getExecution,
+  listExecutions,
+  summarizeOutput,
+};
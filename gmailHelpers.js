@@ -0,0 +1,313 @@
+// gmailHelpers.js
+// Shared plumbing for the Gmail blocks: client creation and turning Gmail's
+// MIME part tree into headers, decoded bodies and attachment metadata.
+const crypto = require("crypto");
+const { google } = require("googleapis");
+const { wrapApiClient } = require("./googleAuth");
+const { createHttpError } = require("./errors");
+
+const DEFAULT_HEADERS = ["From", "Subject", "Date"];
+
+// `call` (from executeBlock) wraps each API request; see wrapApiClient.
+function createGmailClient(credentials, call) {
+  const authClient = new google.auth.OAuth2(credentials.clientId, credentials.secretId);
+  authClient.setCredentials({ access_token: credentials.access_token });
+  return wrapApiClient(google.gmail({ version: "v1", auth: authClient }), call);
+}
+
+// Gmail uses URL-safe base64 without padding for bodies and attachments.
+const decodeBase64Url = (data) =>
+  Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+
+// Header lookup is case-insensitive; the requested spelling is kept in the output.
+function pickHeaders(headers = [], names) {
+  const picked = {};
+  for (const name of names) {
+    const header = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
+    if (header) picked[name] = header.value;
+  }
+  return picked;
+}
+
+const walkParts = (part, visit) => {
+  if (!part) return;
+  visit(part);
+  (part.parts || []).forEach((child) => walkParts(child, visit));
+};
+
+// First text/plain and text/html parts that aren't attachments.
+function extractBodies(payload) {
+  const bodies = { text: null, html: null };
+  walkParts(payload, (part) => {
+    if (part.filename || !part.body?.data) return;
+    if (part.mimeType === "text/plain" && bodies.text === null)
+      bodies.text = decodeBase64Url(part.body.data).toString("utf8");
+    if (part.mimeType === "text/html" && bodies.html === null)
+      bodies.html = decodeBase64Url(part.body.data).toString("utf8");
+  });
+  return bodies;
+}
+
+function listAttachments(payload) {
+  const attachments = [];
+  walkParts(payload, (part) => {
+    if (!part.filename || !part.body?.attachmentId) return;
+    attachments.push({
+      attachmentId: part.body.attachmentId,
+      filename: part.filename,
+      mimeType: part.mimeType,
+      size: part.body.size,
+    });
+  });
+  return attachments;
+}
+
+// A "full" format message as a record. Metadata-only messages (search results) have
+// no bodies, so those keys are only added when includeBody is set.
+function formatMessage(message, headerNames, { includeBody = false } = {}) {
+  const record = {
+    id: message.id,
+    threadId: message.threadId,
+    labelIds: message.labelIds || [],
+    internalDate: message.internalDate ? Number(message.internalDate) : null,
+    fields: {
+      ...pickHeaders(message.payload?.headers, headerNames),
+      Snippet: message.snippet,
+    },
+  };
+  if (!includeBody) return record;
+  return {
+    ...record,
+    ...extractBodies(message.payload),
+    attachments: listAttachments(message.payload),
+  };
+}
+
+// ---- Outgoing messages ----
+
+const toBase64Url = (buffer) =>
+  buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+// Base64 body lines must not exceed 76 characters.
+const wrapBase64 = (buffer) => buffer.toString("base64").replace(/.{76}(?=.)/g, "$&\r\n");
+
+// RFC 2047 encoded-word for non-ASCII header values (subjects, display names).
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+const formatAddresses = (value) => (Array.isArray(value) ? value.join(", ") : value);
+
+// Header values come from callers (and webhook templates); a CR or LF would let them
+// start new headers (an extra Bcc:) or the body, so such values are refused outright.
+function assertHeaderSafe(field, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some((entry) => /[\r\n]/.test(String(entry ?? ""))))
+    throw createHttpError(422, "Invalid inputs", {
+      fields: [{ field, message: "must not contain line breaks" }],
+    });
+}
+
+// Content of a MIME quoted-string (filename="..."): backslashes and quotes are escaped.
+const quoteParam = (value) => encodeHeader(value).replace(/["\\]/g, "\\$&");
+
+// Splits an address list on the commas between addresses, not those inside quoted
+// display names ("Doe, Jane" <jane@x.io>) or angle brackets.
+function splitAddresses(list) {
+  const addresses = [];
+  let current = "";
+  let quoted = false;
+  let angle = false;
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i];
+    if (char === "\\" && quoted) {
+      current += char + (list[++i] ?? "");
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char === "<") angle = true;
+    else if (!quoted && char === ">") angle = false;
+    else if (char === "," && !quoted && !angle) {
+      addresses.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  addresses.push(current.trim());
+  return addresses.filter(Boolean);
+}
+
+// The bare email of "Name <email>" or "email".
+const emailOf = (address) => (/<([^<>]*)>\s*$/.exec(address)?.[1] ?? address).trim().toLowerCase();
+
+const newBoundary = () => `ezyr_${crypto.randomBytes(12).toString("hex")}`;
+
+const textPart = (mimeType, content) =>
+  [
+    `Content-Type: ${mimeType}; charset="UTF-8"`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(Buffer.from(content, "utf8")),
+  ].join("\r\n");
+
+const attachmentPart = ({ filename, mimeType, content }) =>
+  [
+    `Content-Type: ${mimeType || "application/octet-stream"}; name="${quoteParam(filename)}"`,
+    `Content-Disposition: attachment; filename="${quoteParam(filename)}"`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(Buffer.from(content, "base64")),
+  ].join("\r\n");
+
+const multipart = (subtype, parts) => {
+  const boundary = newBoundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    "",
+    ...parts.map((part) => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+  ].join("\r\n");
+};
+
+// Header fields of an outgoing message as [name, value] pairs, values unencoded.
+// Refuses values that could inject headers (see assertHeaderSafe).
+function messageHeaders({ from, to, cc, bcc, subject, attachments = [], inReplyTo, references }) {
+  Object.entries({ from, to, cc, bcc, subject, inReplyTo, references }).forEach(([field, value]) =>
+    assertHeaderSafe(field, value)
+  );
+  attachments.forEach(({ filename, mimeType }, i) => {
+    assertHeaderSafe(`attachments[${i}].filename`, filename);
+    assertHeaderSafe(`attachments[${i}].mimeType`, mimeType);
+  });
+  return [
+    from && ["From", formatAddresses(from)],
+    to && ["To", formatAddresses(to)],
+    cc && ["Cc", formatAddresses(cc)],
+    bcc && ["Bcc", formatAddresses(bcc)],
+    ["Subject", subject || ""],
+    inReplyTo && ["In-Reply-To", inReplyTo],
+    references && ["References", references],
+  ].filter(Boolean);
+}
+
+// Builds an RFC 2822 message and returns it base64url-encoded, ready for Gmail's `raw`.
+// text + html become a multipart/alternative; attachments ({ filename, mimeType,
+// content: base64 }) wrap everything in multipart/mixed.
+function buildMimeMessage(fields) {
+  const { text, html, attachments = [] } = fields;
+  const headers = [
+    ...messageHeaders(fields).map(([name, value]) =>
+      `${name}: ${name === "Subject" ? encodeHeader(value) : value}`
+    ),
+    "MIME-Version: 1.0",
+  ];
+
+  let body;
+  if (text && html) body = multipart("alternative", [textPart("text/plain", text), textPart("text/html", html)]);
+  else if (html) body = textPart("text/html", html);
+  else body = textPart("text/plain", text || "");
+  if (attachments.length) body = multipart("mixed", [body, ...attachments.map(attachmentPart)]);
+
+  return toBase64Url(Buffer.from(`${headers.join("\r\n")}\r\n${body}`, "utf8"));
+}
+
+// What buildMimeMessage would encode, readable for dry runs: the headers and bodies,
+// with attachments reduced to their name, type and size.
+function describeMimeMessage(fields) {
+  const { text, html, attachments = [] } = fields;
+  return {
+    headers: Object.fromEntries(messageHeaders(fields)),
+    ...(text && { text }),
+    ...(html && { html }),
+    ...(!text && !html && { text: "" }),
+    attachments: attachments.map(({ filename, mimeType, content }) => ({
+      filename,
+      mimeType: mimeType || "application/octet-stream",
+      size: Buffer.from(content, "base64").length,
+    })),
+  };
+}
+
+// Headers and thread for replying to `messageId` so the reply lands in the same thread.
+async function getReplyContext(gmail, messageId, { replyAll = false } = {}) {
+  const original = await gmail.users.messages.get({
+    userId: "me",
+    id: messageId,
+    format: "metadata",
+    metadataHeaders: ["Subject", "From", "Reply-To", "To", "Cc", "Message-ID", "References"],
+  });
+  const headers = pickHeaders(original.data.payload?.headers, [
+    "Subject",
+    "From",
+    "Reply-To",
+    "To",
+    "Cc",
+    "Message-ID",
+    "References",
+  ]);
+  const subject = headers.Subject || "";
+  const context = {
+    threadId: original.data.threadId,
+    to: headers["Reply-To"] || headers.From,
+    subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+    inReplyTo: headers["Message-ID"],
+    references: [headers.References, headers["Message-ID"]].filter(Boolean).join(" "),
+  };
+  if (replyAll) {
+    const profile = await gmail.users.getProfile({ userId: "me" });
+    const me = (profile.data.emailAddress || "").toLowerCase();
+    const others = [headers.To, headers.Cc]
+      .filter(Boolean)
+      .flatMap(splitAddresses)
+      .filter((address) => !me || emailOf(address) !== me);
+    if (others.length) context.cc = others;
+  }
+  return context;
+}
+
+// Gmail has no batch "get"; fetching messages one by one is capped at this many
+// requests in flight so a large page does not trip the per-user quota.
+const MESSAGE_FETCH_CONCURRENCY = 8;
+
+// Like Promise.all(items.map(fn)) with at most `limit` calls running at once; keeps order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Accepts label names or IDs; names are resolved against the mailbox's labels.
+async function resolveLabelIds(gmail, labels = []) {
+  if (!labels.length) return [];
+  const response = await gmail.users.labels.list({ userId: "me" });
+  const known = response.data.labels || [];
+  return labels.map((label) => {
+    const match = known.find(
+      (l) => l.id === label || l.name.toLowerCase() === String(label).toLowerCase()
+    );
+    return match ? match.id : label;
+  });
+}
+
+module.exports = {
+  DEFAULT_HEADERS,
+  MESSAGE_FETCH_CONCURRENCY,
+  createGmailClient,
+  decodeBase64Url,
+  pickHeaders,
+  extractBodies,
+  listAttachments,
+  formatMessage,
+  buildMimeMessage,
+  describeMimeMessage,
+  getReplyContext,
+  resolveLabelIds,
+  mapWithConcurrency,
+};
@@ -0,0 +1,54 @@
+// googleAuth.js
+// OAuth helpers shared by the /oauth routes and Google-backed blocks.
+const { google } = require("googleapis");
+
+// Services whose blocks run on Google OAuth credentials.
+const GOOGLE_SERVICES = ["gmail", "googlesheets"];
+
+// Consider a token expired if it expires in the next 5 minutes.
+function isTokenExpired(tokenData) {
+  if (!tokenData.expires_at) return false;
+  const bufferTime = 5 * 60 * 1000;
+  return Date.now() > tokenData.expires_at - bufferTime;
+}
+
+function isAuthError(err) {
+  const status = err.response?.status ?? err.status ?? err.code;
+  return Number(status) === 401;
+}
+
+// Exchanges the refresh token for a new access token.
+// Resolves with the new token set (never includes the client secret).
+async function refreshGoogleTokens({ client_id, client_secret, refresh_token }) {
+  const authClient = new google.auth.OAuth2(client_id, client_secret);
+  authClient.setCredentials({ refresh_token });
+  const { credentials } = await authClient.refreshAccessToken();
+  return {
+    access_token: credentials.access_token,
+    refresh_token: credentials.refresh_token || refresh_token,
+    expires_at: credentials.expiry_date || Date.now() + 3600 * 1000,
+    token_type: credentials.token_type || "Bearer",
+  };
+}
+
+// Routes every API method call on a googleapis client (gmail.users.messages.get(...))
+// through `call`, so the operation's rate limit and retry policy apply to each HTTP
+// request rather than to a whole multi-request handler. Without `call` the client is
+// returned as is.
+function wrapApiClient(client, call) {
+  if (!call) return client;
+  // The proxy target is a blank object: googleapis resources are read-only properties,
+  // which a proxy on the real object would have to return unwrapped
+  const wrap = (object) =>
+    new Proxy({}, {
+      get(_, key) {
+        const value = Reflect.get(object, key);
+        if (typeof value === "function") return (...args) => call(() => value.apply(object, args));
+        if (value && typeof value === "object" && key !== "context") return wrap(value);
+        return value;
+      },
+    });
+  return wrap(client);
+}
+
+module.exports = { GOOGLE_SERVICES, isTokenExpired, isAuthError, refreshGoogleTokens, wrapApiClient };
@@ -0,0 +1,72 @@
+// health.js
+// Readiness checks behind GET /health/details (GET /health only shows the status).
+// Each check is { name, status, message } with status "pass", "warn" (a feature is
+// unavailable, the server still works) or "fail" (the server cannot do its job). Any
+// failure makes the whole report "unavailable".
+const fs = require("fs");
+const { DATA_DIR } = require("./jsonStore");
+const { getPluginErrors } = require("./blockRegistry");
+
+const check = (name, ok, message, failStatus = "fail") => ({
+  name,
+  status: ok ? "pass" : failStatus,
+  message: ok ? null : message,
+});
+
+function dataDirWritable() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readinessChecks() {
+  const env = process.env;
+  const pluginErrors = getPluginErrors();
+  return [
+    check(
+      "encryptionKey",
+      Boolean(env.CONNECTION_ENCRYPTION_KEY),
+      "CONNECTION_ENCRYPTION_KEY is not set; connections cannot be stored or read"
+    ),
+    check("jwtSecret", Boolean(env.JWT_SECRET), "JWT_SECRET is not set; nobody can sign in"),
+    check("dataDir", dataDirWritable(), `DATA_DIR (${DATA_DIR}) is not writable`),
+    check(
+      "frontEndUrl",
+      Boolean(env.FRONT_END_URL),
+      "FRONT_END_URL is not set; browsers cannot call the API (CORS)",
+      "warn"
+    ),
+    check(
+      "googleOAuth",
+      Boolean(env.MY_CLIENT_ID && env.MY_SECRET_ID),
+      "MY_CLIENT_ID/MY_SECRET_ID are not set; Google OAuth needs client credentials in each request",
+      "warn"
+    ),
+    check(
+      "sheetsSpreadsheet",
+      Boolean(env.MY_SPREEDSHEET_ID),
+      "MY_SPREEDSHEET_ID is not set; Sheets operations need a spreadsheetId input",
+      "warn"
+    ),
+    check(
+      "blockPlugins",
+      !pluginErrors.length,
+      `${pluginErrors.length} block plugin(s) rejected: ${pluginErrors.join("; ")}`,
+      "warn"
+    ),
+  ];
+}
+
+// { status: "ok" | "degraded" | "unavailable", timestamp, checks }
+function readinessReport() {
+  const checks = readinessChecks();
+  const has = (status) => checks.some((entry) => entry.status === status);
+  const status = has("fail") ? "unavailable" : has("warn") ? "degraded" : "ok";
+  return { status, timestamp: new Date().toISOString(), checks };
+}
+
+module.exports = { readinessReport };
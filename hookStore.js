@@ -0,0 +1,84 @@
+// hookStore.js
+// Incoming webhook definitions. Each hook maps its JSON payload onto a block call or a
+// saved workflow; the signing secret is encrypted at rest and only shown on creation.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+const { encrypt, decrypt } = require("./secrets");
+
+const store = createStore("hooks");
+
+const HOOK_MODES = ["sync", "async"];
+
+const toSummary = ({ secret, ...hook }) => hook;
+
+function validateHook({ target, mode }) {
+  if (mode !== undefined && !HOOK_MODES.includes(mode))
+    return `mode must be one of: ${HOOK_MODES.join(", ")}`;
+  if (!target || typeof target !== "object") return "target is required";
+  if (target.credentials) return "Hooks must use a connectionId rather than raw credentials";
+  if (target.workflowId) return null;
+  if (!target.blockId || !target.operation)
+    return "target needs either workflowId or blockId and operation";
+  return null;
+}
+
+// Resolves to the summary plus the plaintext secret (the only time it is returned).
+function createHook({ workspaceId, name, target, mode }) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const hook = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    name: name || "Webhook",
+    target,
+    mode: mode || "sync",
+    createdAt: new Date().toISOString(),
+    secret: encrypt(secret),
+  };
+  store.set(hook.id, hook);
+  return { ...toSummary(hook), secret };
+}
+
+const listHooks = (workspaceId) =>
+  store.list((hook) => hook.workspaceId === workspaceId).map(toSummary);
+
+function deleteHook(workspaceId, id) {
+  const hook = store.get(id);
+  if (!hook || hook.workspaceId !== workspaceId) return false;
+  return store.delete(id);
+}
+
+// Incoming calls are not workspace-authenticated, so hooks are looked up by id alone.
+function getHookForDelivery(id) {
+  const hook = store.get(id);
+  return hook ? { ...toSummary(hook), secret: decrypt(hook.secret) } : null;
+}
+
+// Deliveries are signed over "<timestamp>.<raw body>":
+//   X-Ezyr-Timestamp: <unix seconds>
+//   X-Ezyr-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the hook secret>
+// Timestamps more than SIGNATURE_TOLERANCE_SECONDS away from now are rejected, so a
+// captured delivery cannot be replayed later.
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function verifySignature(secret, rawBody, signatureHeader, timestampHeader) {
+  if (!signatureHeader || !rawBody || !/^\d+$/.test(timestampHeader || "")) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestampHeader)) > SIGNATURE_TOLERANCE_SECONDS) return false;
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestampHeader}.`)
+    .update(rawBody)
+    .digest("hex")}`;
+  const received = Buffer.from(String(signatureHeader));
+  return (
+    received.length === expected.length && crypto.timingSafeEqual(received, Buffer.from(expected))
+  );
+}
+
+module.exports = {
+  validateHook,
+  createHook,
+  listHooks,
+  deleteHook,
+  getHookForDelivery,
+  verifySignature,
+};
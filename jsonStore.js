@@ -0,0 +1,45 @@
+// jsonStore.js
+// Minimal file-backed key/value store. Each store is a single JSON file in DATA_DIR,
+// rewritten atomically on every change. Good enough for a single server process.
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
+function createStore(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let records = {};
+  if (fs.existsSync(file)) records = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const persist = () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpFile, file);
+  };
+
+  return {
+    get: (id) => records[id],
+    list: (predicate = () => true) => Object.values(records).filter(predicate),
+    set(id, value) {
+      records[id] = value;
+      persist();
+      return value;
+    },
+    delete(id) {
+      if (!(id in records)) return false;
+      delete records[id];
+      persist();
+      return true;
+    },
+    // Removes every record matching `predicate` with a single write; returns the count.
+    deleteWhere(predicate) {
+      const ids = Object.keys(records).filter((id) => predicate(records[id]));
+      ids.forEach((id) => delete records[id]);
+      if (ids.length) persist();
+      return ids.length;
+    },
+  };
+}
+
+module.exports = { DATA_DIR, createStore };
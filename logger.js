@@ -0,0 +1,51 @@
+// logger.js
+// Structured JSON logs: one line per entry on stdout (stderr for warn/error) with
+// { time, level, message, requestId, ...fields }. Fields are redacted (see redaction.js)
+// and Error objects are reduced to message/code/status so upstream responses and
+// request configs (which carry tokens) are never dumped. LOG_LEVEL sets the minimum
+// level (default "info").
+//
+// withLogContext() binds fields such as the request id to everything logged while the
+// callback (and any async work it starts) runs.
+const { AsyncLocalStorage } = require("async_hooks");
+const { redactSecrets } = require("./redaction");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+const getLogContext = () => context.getStore() || {};
+
+function serializeError(err) {
+  return {
+    message: err.message,
+    code: err.details?.code || err.code || undefined,
+    statusCode: err.statusCode || undefined,
+    // Only unexpected failures need a stack trace
+    stack: err.statusCode ? undefined : err.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const serialized = Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+  );
+  const entry = redactSecrets({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...getLogContext(),
+    ...serialized,
+  });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = Object.fromEntries(
+  Object.keys(LEVELS).map((level) => [level, (message, fields) => write(level, message, fields)])
+);
+
+module.exports = { logger, withLogContext, getLogContext };
@@ -0,0 +1,156 @@
+// metrics.js
+// In-process Prometheus metrics, served as text by GET /metrics:
+//
+//   http_requests_total / http_request_duration_seconds           {method, route, status}
+//   block_executions_total / block_execution_duration_seconds     {block, operation, service, status}
+//   block_execution_errors_total                                  {block, operation, service, code}
+//   upstream_requests_total / upstream_request_duration_seconds   {service, status}
+//
+// Upstream metrics count every attempt against a third-party API, retries included;
+// `status` is the upstream HTTP status ("network" when no response came back).
+const { errorDetails } = require("./errors");
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+const escapeLabel = (value) =>
+  String(value ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  };
+  metrics.push(counter);
+  return counter;
+}
+
+function createHistogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  const histogram = {
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    ],
+  };
+  metrics.push(histogram);
+  return histogram;
+}
+
+const httpRequests = createCounter("http_requests_total", "HTTP requests handled", [
+  "method",
+  "route",
+  "status",
+]);
+const httpDuration = createHistogram(
+  "http_request_duration_seconds",
+  "HTTP request latency in seconds",
+  ["method", "route", "status"]
+);
+const blockExecutions = createCounter("block_executions_total", "Block executions", [
+  "block",
+  "operation",
+  "service",
+  "status",
+]);
+const blockDuration = createHistogram(
+  "block_execution_duration_seconds",
+  "Block execution latency in seconds",
+  ["block", "operation", "service", "status"]
+);
+const blockErrors = createCounter("block_execution_errors_total", "Failed block executions", [
+  "block",
+  "operation",
+  "service",
+  "code",
+]);
+const upstreamRequests = createCounter("upstream_requests_total", "Requests sent to upstream APIs", [
+  "service",
+  "status",
+]);
+const upstreamDuration = createHistogram(
+  "upstream_request_duration_seconds",
+  "Upstream API latency in seconds",
+  ["service", "status"]
+);
+
+const seconds = (startedAt) => (Date.now() - startedAt) / 1000;
+
+function recordHttpRequest({ method, route, status, startedAt }) {
+  const labels = { method, route, status };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds(startedAt));
+}
+
+function recordBlockMetrics({ blockId, operation, service, startedAt, error }) {
+  const labels = { block: blockId, operation, service, status: error ? "failed" : "success" };
+  blockExecutions.inc(labels);
+  blockDuration.observe(labels, seconds(startedAt));
+  if (error) blockErrors.inc({ ...labels, code: errorDetails(error).code });
+}
+
+// Times one upstream attempt; `call` resolves to (or rejects with) an axios-style response.
+async function trackUpstream(service, call) {
+  const startedAt = Date.now();
+  let status;
+  try {
+    const response = await call();
+    status = response?.status || "ok";
+    return response;
+  } catch (err) {
+    status = err.response?.status || err.status || "network";
+    throw err;
+  } finally {
+    const labels = { service, status };
+    upstreamRequests.inc(labels);
+    upstreamDuration.observe(labels, seconds(startedAt));
+  }
+}
+
+const renderMetrics = () => `${metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+
+module.exports = { recordHttpRequest, recordBlockMetrics, trackUpstream, renderMetrics };
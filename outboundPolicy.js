@@ -0,0 +1,94 @@
+// outboundPolicy.js
+// Where declarative REST blocks may send requests. Their URLs come from user-supplied
+// definitions, so without limits a block could reach loopback, the private network or a
+// cloud metadata endpoint and hand the response back to its caller (SSRF).
+//
+// By default only https URLs whose host resolves to public addresses are allowed; the
+// address is checked when the connection is made (not just when the URL is built), so a
+// DNS answer cannot change in between, and redirects are not followed.
+// REST_ALLOWED_HOSTS (comma separated, "*.example.com" matches subdomains) names hosts the
+// operator trusts: they may use http and private addresses.
+const dns = require("dns");
+const net = require("net");
+const { createHttpError } = require("./errors");
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, "ipv6"));
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+const allowedHosts = () =>
+  (process.env.REST_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+function isAllowedHost(hostname) {
+  const host = hostname.toLowerCase();
+  return allowedHosts().some((allowed) =>
+    allowed.startsWith("*.") ? host.endsWith(allowed.slice(1)) : host === allowed
+  );
+}
+
+const blocked = (url, reason) =>
+  createHttpError(422, `Destination not allowed: ${reason}`, { code: "DESTINATION_NOT_ALLOWED", url });
+
+// Throws unless `url` may be requested. Host names are checked again at connect time
+// by safeLookup; IP literals never reach a DNS lookup, so they are checked here.
+function assertAllowedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw blocked(url, "invalid URL");
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (isAllowedHost(hostname)) {
+    if (!["http:", "https:"].includes(parsed.protocol)) throw blocked(url, "only http(s) is supported");
+    return;
+  }
+  if (parsed.protocol !== "https:") throw blocked(url, "https is required");
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) throw blocked(url, "private address");
+}
+
+// dns.lookup replacement for outbound requests: fails when a host that is not allowed
+// resolves to any private address.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!isAllowedHost(hostname) && addresses.some(({ address }) => isPrivateAddress(address)))
+      return callback(blocked(hostname, "host resolves to a private address"));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// axios options for requests to user-defined URLs.
+const outboundRequestOptions = { lookup: safeLookup, maxRedirects: 0 };
+
+module.exports = { assertAllowedUrl, outboundRequestOptions };
@@ -0,0 +1,34 @@
+// pagination.js
+// Uniform pagination contract for list operations:
+//   inputs  -> pageSize, cursor, fetchAll, maxItems
+//   output  -> { items, nextCursor }  (nextCursor is null on the last page)
+
+const paginationSchema = ({ defaultPageSize, maxPageSize }) => ({
+  pageSize: { type: "integer", min: 1, max: maxPageSize, default: defaultPageSize, label: "Page size" },
+  cursor: { type: "string", label: "Cursor", description: "nextCursor from the previous page" },
+  fetchAll: {
+    type: "boolean",
+    default: false,
+    label: "Fetch all pages",
+    description: "Follow pages on the server, up to maxItems",
+  },
+  maxItems: { type: "integer", min: 1, max: 10000, default: 1000, label: "Max items (fetch all)" },
+});
+
+// fetchPage(cursor, pageSize) must resolve to { items, nextCursor }.
+// With fetchAll, pages are followed until there are none left or maxItems is reached;
+// the last page is shrunk so no items are skipped when the limit cuts in.
+async function collectPages(fetchPage, { pageSize, cursor, fetchAll, maxItems }) {
+  if (!fetchAll) return fetchPage(cursor || null, pageSize);
+
+  const items = [];
+  let nextCursor = cursor || null;
+  do {
+    const page = await fetchPage(nextCursor, Math.min(pageSize, maxItems - items.length));
+    items.push(...page.items);
+    nextCursor = page.nextCursor || null;
+  } while (nextCursor && items.length < maxItems);
+  return { items, nextCursor };
+}
+
+module.exports = { paginationSchema, collectPages };
@@ -0,0 +1,65 @@
+// rateLimiter.js
+// Per-credential token buckets for upstream calls, so bursts (e.g. from the UI) queue
+// up instead of tripping the provider's rate limit. A bucket holds up to `burst`
+// tokens and refills at `requestsPerSecond`; callers wait in FIFO order for a token.
+const { fingerprint } = require("./secrets");
+
+// Buckets idle for this long are dropped.
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+const buckets = new Map();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createTokenBucket({ requestsPerSecond, burst = requestsPerSecond }) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * requestsPerSecond);
+    refilledAt = now;
+  };
+
+  const take = async () => {
+    refill();
+    if (tokens < 1) {
+      await sleep(((1 - tokens) / requestsPerSecond) * 1000);
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    acquire() {
+      queue = queue.then(take);
+      return queue;
+    },
+  };
+}
+
+function pruneIdleBuckets(now) {
+  for (const [key, entry] of buckets) {
+    if (now - entry.usedAt > IDLE_BUCKET_MS) buckets.delete(key);
+  }
+}
+
+/**
+ * Waits until `credentials` may make another call to `service` under `rateLimit`
+ * ({ requestsPerSecond, burst }). Without a rate limit it resolves immediately.
+ */
+function acquire(service, credentials, rateLimit) {
+  if (!rateLimit) return Promise.resolve();
+  const now = Date.now();
+  pruneIdleBuckets(now);
+  const key = `${service}:${fingerprint(credentials)}`;
+  let entry = buckets.get(key);
+  if (!entry) {
+    entry = { bucket: createTokenBucket(rateLimit) };
+    buckets.set(key, entry);
+  }
+  entry.usedAt = now;
+  return entry.bucket.acquire();
+}
+
+module.exports = { createTokenBucket, acquire };
@@ -0,0 +1,35 @@
+// redaction.js
+// Masks credentials in anything we echo back or write out (dry-run previews, logs):
+// values under sensitive keys (Authorization, *token*, *secret*, ...) and any
+// occurrence of the caller's own credential values, e.g. an API key in a URL.
+
+const MASK = "****";
+const SENSITIVE_KEY = /authorization|cookie|token|secret|password|api[-_]?key/i;
+
+// "Bearer abc" -> "Bearer ****", keeping the auth scheme readable.
+function maskValue(text) {
+  const scheme = /^(Bearer|Basic|Token)\s+/i.exec(text);
+  return scheme ? `${scheme[1]} ${MASK}` : MASK;
+}
+
+// Credential values long enough to be secrets, raw and URL-encoded.
+const secretValues = (credentials) =>
+  Object.values(credentials || {})
+    .filter((value) => typeof value === "string" && value.length >= 4)
+    .flatMap((value) => [value, encodeURIComponent(value)]);
+
+function redactSecrets(value, credentials) {
+  const secrets = secretValues(credentials);
+  const redactString = (text) => secrets.reduce((out, secret) => out.split(secret).join(MASK), text);
+  const walk = (entry, key) => {
+    if (typeof entry === "string")
+      return key && SENSITIVE_KEY.test(key) ? maskValue(entry) : redactString(entry);
+    if (Array.isArray(entry)) return entry.map((item) => walk(item));
+    if (entry && typeof entry === "object")
+      return Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, walk(v, k)]));
+    return entry;
+  };
+  return walk(value);
+}
+
+module.exports = { MASK, redactSecrets };
@@ -0,0 +1,104 @@
+// responseCache.js
+// Opt-in cache for read operations, i.e. operations that declare `cache: { ttlSeconds }`.
+// Entries are keyed by block, operation, normalized inputs and a credential fingerprint,
+// and tagged with the resource they read (`block.cacheResource(inputs)`, e.g. one
+// Airtable table; the whole block by default). Any write to that resource with the same
+// credential drops them.
+//
+// The store is pluggable (setCacheStore): any object with get(key), set(key, entry,
+// { ttlMs, tags }) and invalidate(tag), sync or async. The default is an in-memory LRU
+// of CACHE_MAX_ENTRIES entries (default 500).
+const crypto = require("crypto");
+const { fingerprint } = require("./secrets");
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+
+function createLruStore(maxEntries = MAX_ENTRIES) {
+  // Map iteration order doubles as recency order: least recently used first.
+  const items = new Map();
+  return {
+    get(key) {
+      const item = items.get(key);
+      if (!item) return null;
+      items.delete(key);
+      if (item.expiresAt <= Date.now()) return null;
+      items.set(key, item);
+      return item.entry;
+    },
+    set(key, entry, { ttlMs, tags }) {
+      items.delete(key);
+      items.set(key, { entry, tags, expiresAt: Date.now() + ttlMs });
+      if (items.size > maxEntries) items.delete(items.keys().next().value);
+    },
+    invalidate(tag) {
+      for (const [key, item] of items) {
+        if (item.tags.includes(tag)) items.delete(key);
+      }
+    },
+  };
+}
+
+let store = createLruStore();
+
+function setCacheStore(customStore) {
+  store = customStore;
+}
+
+// JSON with object keys sorted, so equal inputs always produce the same key.
+const stableStringify = (value) =>
+  JSON.stringify(value, (key, entry) =>
+    entry && typeof entry === "object" && !Array.isArray(entry)
+      ? Object.fromEntries(Object.entries(entry).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : entry
+  );
+
+const hash = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const etagOf = (value) => `"${hash(JSON.stringify(value) ?? "").slice(0, 32)}"`;
+
+const isRead = (op) => Boolean(op.cache);
+
+// Writes are non-GET operations without a cache declaration.
+const isWrite = (op) => !op.cache && String(op.method).toUpperCase() !== "GET";
+
+// The cache key and resource tag for one call.
+function cacheScope({ blockId, block, op, operation, inputs, credentials }) {
+  const credential = fingerprint(credentials);
+  const resource = block.cacheResource ? block.cacheResource(inputs) : blockId;
+  return {
+    key: hash(stableStringify([blockId, operation, inputs, credential])),
+    tag: `${op.service}:${credential}:${resource}`,
+  };
+}
+
+// Resolves to { value, etag, expiresAt } or null.
+async function getCached(scope) {
+  return (await store.get(scope.key)) || null;
+}
+
+async function putCached(scope, value, ttlSeconds) {
+  const ttlMs = ttlSeconds * 1000;
+  const entry = {
+    value,
+    etag: etagOf(value),
+    expiresAt: Date.now() + ttlMs,
+  };
+  await store.set(scope.key, entry, { ttlMs, tags: [scope.tag] });
+  return entry;
+}
+
+async function invalidateResource(scope) {
+  await store.invalidate(scope.tag);
+}
+
+module.exports = {
+  createLruStore,
+  setCacheStore,
+  etagOf,
+  isRead,
+  isWrite,
+  cacheScope,
+  getCached,
+  putCached,
+  invalidateResource,
+};
@@ -0,0 +1,134 @@
+// resultMapping.js
+// The record envelope every block result is normalized to, and the caller-supplied
+// mapping specs applied to its records in /block/execute (and workflow steps):
+//
+//   { records: [...], nextCursor: string | null, meta: {...} }
+//
+// A mapping spec maps output field names to selectors and is applied to every record;
+// only mapped fields are kept:
+//
+//   {
+//     name: "$.fields.Name",
+//     tags: "$.fields.Tags[*].name",
+//     amount: { path: "$.fields.Amount", type: "number", default: 0 },
+//     created: { path: "$.createdTime", type: "date" },
+//   }
+//
+// Selectors are JSONPath-style: "$" is the record, ".key", "['key']" and "[0]" step in,
+// "[*]" fans out over an array (the result is then an array). Types: string, number,
+// integer, boolean and date (ISO 8601 string; accepts date strings and epoch ms).
+
+const MAPPING_TYPES = ["string", "number", "integer", "boolean", "date"];
+const WILDCARD = Symbol("wildcard");
+const TOKEN_PATTERN = /\.?([^.[\]'"]+)|\[(\d+)\]|\[(\*)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+
+/**
+ * Wraps any block result in the envelope. Shapes blocks return today: a bare array,
+ * { records, nextCursor, ... }, { results, ... } (batch), { record, ... } or a single
+ * object (which becomes the only record). Other top-level fields go to `meta`.
+ */
+function toEnvelope(result) {
+  if (result === undefined || result === null) return { records: [], nextCursor: null, meta: {} };
+  if (Array.isArray(result)) return { records: result, nextCursor: null, meta: {} };
+  if (typeof result !== "object") return { records: [result], nextCursor: null, meta: {} };
+
+  const { records, results, record, nextCursor = null, meta = {}, ...rest } = result;
+  if (Array.isArray(records)) return { records, nextCursor, meta: { ...rest, ...meta } };
+  if (Array.isArray(results)) return { records: results, nextCursor, meta: { ...rest, ...meta } };
+  if (record !== undefined) return { records: [record], nextCursor, meta: { ...rest, ...meta } };
+  return { records: [result], nextCursor: null, meta: {} };
+}
+
+// "$.fields.Tags[*].name" -> ["fields", "Tags", WILDCARD, "name"]; null when malformed.
+function parseSelector(selector) {
+  const path = selector.replace(/^\$/, "");
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < path.length) {
+    const match = TOKEN_PATTERN.exec(path);
+    if (!match) return null;
+    const [, key, index, star, single, double] = match;
+    const token = key ?? index ?? star ?? single ?? double;
+    tokens.push(token === "*" ? WILDCARD : token);
+  }
+  return tokens;
+}
+
+function select(record, tokens) {
+  let values = [record];
+  let multiple = false;
+  for (const token of tokens) {
+    if (token === WILDCARD) {
+      multiple = true;
+      values = values.flatMap((value) => {
+        if (Array.isArray(value)) return value;
+        return value && typeof value === "object" ? Object.values(value) : [];
+      });
+    } else {
+      values = values.map((value) => (value == null ? undefined : value[token]));
+    }
+  }
+  return multiple ? values.filter((value) => value !== undefined) : values[0];
+}
+
+function coerce(value, type) {
+  if (Array.isArray(value)) return value.map((item) => coerce(item, type));
+  if (value === undefined || value === null || value === "") return value ?? null;
+  switch (type) {
+    case "string":
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    case "number":
+    case "integer": {
+      const number = Number(value);
+      if (Number.isNaN(number)) return null;
+      return type === "integer" ? Math.trunc(number) : number;
+    }
+    case "boolean":
+      if (typeof value === "string") return ["true", "1", "yes"].includes(value.toLowerCase());
+      return Boolean(value);
+    case "date": {
+      const numeric = typeof value === "number" || /^\d+$/.test(value);
+      const date = new Date(numeric ? Number(value) : value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    default:
+      return value;
+  }
+}
+
+// Field errors ({ field, message }) for a mapping spec, in the same form as validateInputs.
+function validateMapping(mapping) {
+  if (mapping === undefined) return [];
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping))
+    return [{ field: "mapping", message: "must be an object" }];
+  const errors = [];
+  for (const [name, spec] of Object.entries(mapping)) {
+    const field = `mapping.${name}`;
+    const { path, type } = typeof spec === "string" ? { path: spec } : spec || {};
+    if (typeof path !== "string") errors.push({ field, message: "needs a selector or { path }" });
+    else if (!parseSelector(path)) errors.push({ field, message: `invalid selector "${path}"` });
+    if (type !== undefined && !MAPPING_TYPES.includes(type))
+      errors.push({ field, message: `type must be one of: ${MAPPING_TYPES.join(", ")}` });
+  }
+  return errors;
+}
+
+// Applies a (validated) mapping spec to every record of an envelope.
+function applyMapping(envelope, mapping) {
+  if (!mapping) return envelope;
+  const fields = Object.entries(mapping).map(([name, spec]) => {
+    const { path, type, default: fallback } = typeof spec === "string" ? { path: spec } : spec;
+    return { name, tokens: parseSelector(path), type, fallback };
+  });
+  const mapRecord = (record) =>
+    Object.fromEntries(
+      fields.map(({ name, tokens, type, fallback }) => {
+        let value = select(record, tokens);
+        if (type) value = coerce(value, type);
+        return [name, value ?? fallback ?? null];
+      })
+    );
+  return { ...envelope, records: envelope.records.map(mapRecord) };
+}
+
+module.exports = { toEnvelope, validateMapping, applyMapping };
@@ -0,0 +1,93 @@
+// retryPolicy.js
+// Retry and rate-limit policies for upstream calls. Each service has defaults below;
+// a block or operation can override them with `retry` ({ retries, baseDelayMs,
+// maxDelayMs }, or false to disable) and `rateLimit` ({ requestsPerSecond, burst }).
+//
+// Only idempotent calls (GET, PUT, DELETE, or an operation marked `idempotent: true`)
+// are retried after timeouts and 5xx responses. Handler operations whose requests do
+// not match their `method` label set `idempotent` explicitly. Any call is retried after a 429 or a
+// connection that was refused outright, since the upstream never processed it.
+const { mapUpstreamError } = require("./upstreamErrors");
+
+const SERVICE_POLICIES = {
+  // Airtable allows 5 requests/s per base and asks for 30 s of quiet after a 429.
+  airtable: {
+    retry: { retries: 3, baseDelayMs: 1000, maxDelayMs: 30000 },
+    rateLimit: { requestsPerSecond: 5 },
+  },
+  gmail: {
+    retry: { retries: 3, baseDelayMs: 1000, maxDelayMs: 32000 },
+    rateLimit: { requestsPerSecond: 10 },
+  },
+  // Sheets allows 60 read requests per minute per user.
+  googlesheets: {
+    retry: { retries: 3, baseDelayMs: 1000, maxDelayMs: 32000 },
+    rateLimit: { requestsPerSecond: 1, burst: 10 },
+  },
+};
+
+const DEFAULT_POLICY = {
+  retry: { retries: 2, baseDelayMs: 500, maxDelayMs: 10000 },
+  rateLimit: null,
+};
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const NOT_SENT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const pick = (key, block, op, servicePolicy) =>
+  [op[key], block[key], servicePolicy[key]].find((value) => value !== undefined);
+
+// The effective { retry, rateLimit, idempotent } for one operation.
+function resolvePolicy(block, op) {
+  const servicePolicy = SERVICE_POLICIES[op.service] || DEFAULT_POLICY;
+  const retry = pick("retry", block, op, servicePolicy);
+  return {
+    retry: retry ? { ...DEFAULT_POLICY.retry, ...servicePolicy.retry, ...retry } : { retries: 0 },
+    rateLimit: pick("rateLimit", block, op, servicePolicy) || null,
+    idempotent: op.idempotent ?? IDEMPOTENT_METHODS.includes(String(op.method).toUpperCase()),
+  };
+}
+
+// Retry-After is either seconds or an HTTP date.
+function retryAfterMs(err) {
+  const value = err.response?.headers?.["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter.
+const backoffMs = ({ baseDelayMs, maxDelayMs }, attempt) =>
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+function shouldRetry(err, mapped, idempotent) {
+  if (!mapped.details?.retryable) return false;
+  if (idempotent) return true;
+  return mapped.statusCode === 429 || NOT_SENT_ERRORS.includes(err.code);
+}
+
+/**
+ * Runs `call` under `policy` (from resolvePolicy), retrying retryable failures of
+ * `service`. A Retry-After longer than maxDelayMs is not waited out; the error is
+ * returned to the caller instead.
+ */
+async function withRetries({ service, policy }, call) {
+  const { retries = 0 } = policy.retry;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (err) {
+      const mapped = mapUpstreamError(service, err);
+      if (attempt >= retries || !shouldRetry(err, mapped, policy.idempotent)) throw err;
+      const delay = retryAfterMs(err) ?? backoffMs(policy.retry, attempt);
+      if (delay > policy.retry.maxDelayMs) throw err;
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { SERVICE_POLICIES, resolvePolicy, withRetries };
@@ -0,0 +1,111 @@
+// scheduler.js
+// Runs saved workflows on their cron schedule ({ cron, timezone, enabled }) and
+// records every run in the workflow's history.
+const { CronJob, CronTime } = require("cron");
+const { runWorkflow } = require("./workflowEngine");
+const { errorDetails } = require("./errors");
+const { logger } = require("./logger");
+const { getWorkflow, listScheduledWorkflows, recordRun } = require("./workflowStore");
+
+const jobs = new Map();
+const running = new Set();
+
+function validateSchedule(schedule) {
+  if (schedule === undefined || schedule === null) return null;
+  if (typeof schedule !== "object" || !schedule.cron) return "schedule.cron is required";
+  try {
+    new CronTime(schedule.cron, schedule.timezone || undefined);
+  } catch (err) {
+    return `Invalid schedule: ${err.message}`;
+  }
+  return null;
+}
+
+// Runs a saved workflow and records the outcome. `input` is merged over the saved input,
+// `context` adds template roots (e.g. a webhook payload), `actor` is logged with each step.
+async function runSavedWorkflow(workflow, trigger, { input, context, actor } = {}) {
+  const startedAt = Date.now();
+  try {
+    const run = await runWorkflow(workflow.definition, {
+      workspaceId: workflow.workspaceId,
+      input: { ...workflow.input, ...input },
+      context,
+      actor,
+    });
+    return recordRun(workflow, trigger, run);
+  } catch (err) {
+    return recordRun(workflow, trigger, {
+      status: "failed",
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      error: { message: err.message, statusCode: err.statusCode || 500, ...errorDetails(err) },
+    });
+  }
+}
+
+// Runs a webhook/trigger target: a saved workflow ({ workflowId }) or a single block call
+// ({ blockId, operation, connectionId, params }), with `context` available to templates.
+async function runTarget(target, { workspaceId, trigger, context, actor }) {
+  if (target.workflowId) {
+    const workflow = getWorkflow(workspaceId, target.workflowId);
+    if (!workflow) return { status: "failed", error: { message: "Workflow not found", statusCode: 404 } };
+    return runSavedWorkflow(workflow, trigger, { context, actor });
+  }
+  const { blockId, operation, connectionId, params } = target;
+  const definition = { steps: [{ id: "block", blockId, operation, connectionId, params }] };
+  return runWorkflow(definition, { workspaceId, context, actor });
+}
+
+function unscheduleWorkflow(workflowId) {
+  const job = jobs.get(workflowId);
+  if (job) job.stop();
+  jobs.delete(workflowId);
+}
+
+// (Re)creates the cron job for a workflow; call after every create/update.
+function scheduleWorkflow(workflow) {
+  unscheduleWorkflow(workflow.id);
+  const { schedule } = workflow;
+  if (!schedule || schedule.enabled === false) return;
+
+  const job = CronJob.from({
+    cronTime: schedule.cron,
+    timeZone: schedule.timezone || undefined,
+    start: true,
+    onTick: async () => {
+      // Skip a tick while the previous run is still going
+      if (running.has(workflow.id)) return;
+      const current = getWorkflow(workflow.workspaceId, workflow.id);
+      if (!current) return unscheduleWorkflow(workflow.id);
+      running.add(workflow.id);
+      try {
+        const run = await runSavedWorkflow(current, "schedule", { actor: { workflowId: current.id } });
+        logger.info("Scheduled workflow run finished", { workflowId: workflow.id, status: run.status });
+      } finally {
+        running.delete(workflow.id);
+      }
+    },
+  });
+  jobs.set(workflow.id, job);
+}
+
+function getNextRunAt(workflowId) {
+  const job = jobs.get(workflowId);
+  return job ? job.nextDate().toISO() : null;
+}
+
+function startScheduler() {
+  const scheduled = listScheduledWorkflows();
+  scheduled.forEach(scheduleWorkflow);
+  if (scheduled.length) logger.info("Scheduled workflows", { count: scheduled.length });
+}
+
+module.exports = {
+  validateSchedule,
+  runSavedWorkflow,
+  runTarget,
+  scheduleWorkflow,
+  unscheduleWorkflow,
+  getNextRunAt,
+  startScheduler,
+};
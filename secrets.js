@@ -0,0 +1,43 @@
+// secrets.js
+// AES-256-GCM encryption for anything we keep at rest (connection credentials etc.).
+// The server key comes from CONNECTION_ENCRYPTION_KEY and never leaves the backend.
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+
+const getKey = () => {
+  const secret = process.env.CONNECTION_ENCRYPTION_KEY;
+  if (!secret) throw new Error("CONNECTION_ENCRYPTION_KEY is not configured");
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+// Encrypts any JSON-serialisable value into "iv:authTag:ciphertext" (base64 parts).
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64")).join(":");
+}
+
+function decrypt(payload) {
+  const [iv, authTag, data] = payload.split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  const plain = Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  return JSON.parse(plain);
+}
+
+// Short, stable identifier for a credential set (for cache and rate-limit keys), so the
+// secret itself is never used as a key.
+function fingerprint(credentials) {
+  const secret =
+    credentials.apiKey ||
+    credentials.token ||
+    credentials.refresh_token ||
+    credentials.access_token ||
+    credentials.username ||
+    "";
+  return crypto.createHash("sha256").update(String(secret)).digest("hex").slice(0, 16);
+}
+
+module.exports = { encrypt, decrypt, fingerprint };
@@ -1,19 +1,368 @@
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
-const axios = require("axios");
 require("dotenv").config();
-const blockConfigs = require("./blockConfigs");
+const YAML = require("yaml");
+const { validateBlock, loadPlugins, watchPlugins, getBlock, getBlocks } = require("./blockRegistry");
+const { validateDeclarativeBlock, compileDeclarativeBlock } = require("./declarativeBlocks");
+const {
+  saveBlockDefinition,
+  listBlockDefinitions,
+  getBlockDefinition,
+  deleteBlockDefinition,
+} = require("./blockDefinitionStore");
+const {
+  validateConnection,
+  createConnection,
+  listConnections,
+  getConnectionCredentials,
+  updateConnectionCredentials,
+  deleteConnection,
+} = require("./connectionStore");
+const { refreshGoogleTokens } = require("./googleAuth");
+const { createHttpError, errorBody } = require("./errors");
+const { validateInputs } = require("./blockSchema");
+const {
+  EXECUTION_QUERY_SCHEMA,
+  recordOAuthEvent,
+  getExecution,
+  listExecutions,
+} = require("./executionLog");
+const { mapUpstreamError } = require("./upstreamErrors");
+const { describeBlock, describeBlocks } = require("./blockCatalog");
+const { executeBlock } = require("./blockExecutor");
+const { validateWorkflow, runWorkflow } = require("./workflowEngine");
+const {
+  createWorkflow,
+  updateWorkflow,
+  getWorkflow,
+  listWorkflows,
+  deleteWorkflow,
+  listRuns,
+  getRun,
+} = require("./workflowStore");
+const {
+  validateSchedule,
+  runSavedWorkflow,
+  runTarget,
+  scheduleWorkflow,
+  unscheduleWorkflow,
+  getNextRunAt,
+  startScheduler,
+} = require("./scheduler");
+const {
+  validateHook,
+  createHook,
+  listHooks,
+  deleteHook,
+  getHookForDelivery,
+  verifySignature,
+} = require("./hookStore");
+const {
+  createTrigger,
+  updateTrigger,
+  getTrigger,
+  listTriggers,
+  deleteTrigger,
+} = require("./triggerStore");
+const { validateTrigger, pollTrigger, startTriggerPoller } = require("./triggerPoller");
+const { logger, withLogContext } = require("./logger");
+const { recordHttpRequest, renderMetrics } = require("./metrics");
+const { readinessReport } = require("./health");
+const { signSessionToken, resolveAuth, hasMetricsToken } = require("./auth");
+const {
+  validateUser,
+  createUser,
+  authenticateUser,
+  getUser,
+  getUserByEmail,
+  hasUsers,
+} = require("./userStore");
+const {
+  WORKSPACE_ROLES,
+  createWorkspace,
+  getWorkspace,
+  listUserWorkspaces,
+  getMemberRole,
+  setMember,
+  removeMember,
+  isLastOwner,
+} = require("./workspaceStore");
+const { createApiKey, listApiKeys, deleteApiKey } = require("./apiKeyStore");
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+
+// Every request gets a correlation id (the caller's X-Request-Id if it looks sane),
+// echoed in the response header and attached to every log line and execution entry.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    // Label by route pattern, not raw path, so ids in URLs don't explode the series
+    const route = req.route ? req.route.path : "unmatched";
+    recordHttpRequest({ method: req.method, route, status: res.statusCode, startedAt });
+    withLogContext({ requestId }, () =>
+      logger.info("Request completed", {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+      })
+    );
+  });
+  withLogContext({ requestId }, next);
+});
+
+// Browsers may only call the API from the configured front end (comma separated list)
+const allowedOrigins = (process.env.FRONT_END_URL || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(
+  cors({
+    origin: allowedOrigins.length ? allowedOrigins : false,
+    exposedHeaders: ["X-Request-Id", "ETag", "X-Cache", "X-Token-Refreshed"],
+  })
+);
+// Keep the raw body around for webhook signature checks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+// Express 5 leaves req.body undefined when a request has no (JSON) body
+app.use((req, res, next) => {
+  req.body ??= {};
+  next();
+});
+
+// Answers with the normalized error envelope (see errors.js).
+const sendError = (res, statusCode, message, details) =>
+  res.status(statusCode).json(errorBody(createHttpError(statusCode, message, details)));
+
+// AUTHENTICATION
+// Everything except these routes needs a session token or API key (see auth.js).
+// Webhook deliveries are authenticated by their signature and /metrics by METRICS_TOKEN
+// instead.
+const PUBLIC_ROUTES = [
+  ["POST", /^\/auth\/(register|login)$/],
+  ["POST", /^\/hooks\/[^/]+$/],
+  ["GET", /^\/health(\/live)?$/],
+  ["GET", /^\/metrics$/],
+];
+// Routes a session user without any workspace can still use
+const WORKSPACELESS_ROUTES = [
+  ["GET", /^\/auth\/me$/],
+  ["GET", /^\/workspaces$/],
+  ["POST", /^\/workspaces$/],
+  ["GET", /^\/health\/details$/],
+];
+const matchesRoute = (routes, req) =>
+  routes.some(([method, pattern]) => req.method === method && pattern.test(req.path));
+
+app.use((req, res, next) => {
+  if (req.method === "OPTIONS" || matchesRoute(PUBLIC_ROUTES, req)) return next();
+  try {
+    req.auth = resolveAuth(req);
+  } catch (err) {
+    return res.status(err.statusCode || 500).json(errorBody(err, "Authentication failed"));
+  }
+  if (!req.auth.workspaceId && !matchesRoute(WORKSPACELESS_ROUTES, req))
+    return sendError(res, 403, "No workspace selected");
+  const { userId, workspaceId } = req.auth;
+  withLogContext({ userId, workspaceId }, next);
+});
+
+// Everything a caller stores or runs belongs to their authenticated workspace.
+const getWorkspaceId = (req) => req.auth.workspaceId;
+
+// Who made an API call, for the execution log.
+const getActor = (req) => ({ userId: req.auth.userId, apiKeyId: req.auth.apiKeyId, ip: req.ip });
+
+// Block definitions and plugins are shared by every workspace, so only operators
+// (ADMIN_USERS, see auth.js) may change them.
+const requireAdmin = (req, res) => {
+  if (req.auth.isAdmin) return true;
+  const error = createHttpError(403, "Admin access required", { code: "ADMIN_REQUIRED" });
+  res.status(403).json(errorBody(error));
+  return false;
+};
+
+// Account and workspace management is for signed-in users, not API keys.
+const requireSession = (req, res) => {
+  if (!req.auth.apiKeyId) return true;
+  sendError(res, 403, "Not available to API keys");
+  return false;
+};
+
+const logOAuthEvent = (req, event, { startedAt, connectionId, error }) =>
+  recordOAuthEvent({
+    workspaceId: getWorkspaceId(req),
+    source: "api",
+    actor: getActor(req),
+    event,
+    connectionId,
+    startedAt,
+    error,
+  });
+
+// Responds to a failed Google OAuth call with the normalized error envelope.
+const sendOAuthError = (res, error, message) => {
+  const mapped = mapUpstreamError("google", error);
+  res
+    .status(mapped.statusCode || 500)
+    .json({ ...errorBody(mapped), error: message, details: error.message });
+};
+
+// ACCOUNTS
+// Sign-up creates the user and their first workspace. With ALLOW_REGISTRATION=false only
+// the very first user can sign up; everyone else is added to workspaces by an owner.
+const registrationOpen = () => process.env.ALLOW_REGISTRATION !== "false" || !hasUsers();
+
+const sessionResponse = (user) => ({
+  ...signSessionToken(user.id),
+  user,
+  workspaces: listUserWorkspaces(user.id),
+});
+
+app.post("/auth/register", (req, res) => {
+  if (!registrationOpen()) return sendError(res, 403, "Registration is closed");
+  const { email, password, name, workspaceName } = req.body;
+  const validationError = validateUser({ email, password });
+  if (validationError) return sendError(res, 422, validationError);
+  const user = createUser({ email, password, name });
+  createWorkspace({ name: workspaceName, ownerId: user.id });
+  res.status(201).json(sessionResponse(user));
+});
+
+app.post("/auth/login", (req, res) => {
+  const { email, password } = req.body;
+  const user = authenticateUser(email, password);
+  if (!user) return sendError(res, 401, "Invalid email or password");
+  res.json(sessionResponse(user));
+});
+
+app.get("/auth/me", (req, res) => {
+  const { userId, workspaceId, role, apiKeyId, isAdmin } = req.auth;
+  res.json({ user: getUser(userId), workspaceId, role, apiKeyId, isAdmin });
+});
+
+// WORKSPACES
+// Members are { userId, role }; only owners add, change or remove members, and a
+// workspace always keeps at least one owner.
+app.get("/workspaces", (req, res) => {
+  if (!requireSession(req, res)) return;
+  res.json({ workspaces: listUserWorkspaces(req.auth.userId) });
+});
+
+app.post("/workspaces", (req, res) => {
+  if (!requireSession(req, res)) return;
+  res.status(201).json(createWorkspace({ name: req.body?.name, ownerId: req.auth.userId }));
+});
+
+// The workspace in the URL, if the caller belongs to it (and owns it, for `ownerOnly`).
+const findMemberWorkspace = (req, res, { ownerOnly = false } = {}) => {
+  if (!requireSession(req, res)) return null;
+  const role = getMemberRole(req.params.workspaceId, req.auth.userId);
+  if (!role) {
+    sendError(res, 404, "Workspace not found");
+    return null;
+  }
+  if (ownerOnly && role !== "owner") {
+    sendError(res, 403, "Only workspace owners can manage members");
+    return null;
+  }
+  return getWorkspace(req.params.workspaceId);
+};
+
+app.get("/workspaces/:workspaceId", (req, res) => {
+  const workspace = findMemberWorkspace(req, res);
+  if (workspace) res.json(workspace);
+});
+
+// { email, role } — adds an existing user, or changes a member's role
+app.put("/workspaces/:workspaceId/members", (req, res) => {
+  const workspace = findMemberWorkspace(req, res, { ownerOnly: true });
+  if (!workspace) return;
+  const { email, role = "member" } = req.body;
+  if (!WORKSPACE_ROLES.includes(role))
+    return sendError(res, 422, `role must be one of: ${WORKSPACE_ROLES.join(", ")}`);
+  const user = typeof email === "string" ? getUserByEmail(email) : null;
+  if (!user) return sendError(res, 404, "User not found");
+  if (role !== "owner" && isLastOwner(workspace, user.id))
+    return sendError(res, 409, "A workspace needs at least one owner");
+  res.json(setMember(workspace.id, user.id, role));
+});
+
+// Owners remove anyone; members may remove themselves
+app.delete("/workspaces/:workspaceId/members/:userId", (req, res) => {
+  const self = req.params.userId === req.auth.userId;
+  const workspace = findMemberWorkspace(req, res, { ownerOnly: !self });
+  if (!workspace) return;
+  if (isLastOwner(workspace, req.params.userId))
+    return sendError(res, 409, "A workspace needs at least one owner");
+  if (!removeMember(workspace.id, req.params.userId))
+    return sendError(res, 404, "Member not found");
+  res.status(204).end();
+});
+
+// API KEYS
+// Keys belong to the current workspace; the plaintext key is only returned on creation.
+app.post("/api-keys", (req, res) => {
+  if (!requireSession(req, res)) return;
+  const { userId, workspaceId } = req.auth;
+  res.status(201).json(createApiKey({ workspaceId, userId, name: req.body?.name }));
+});
+
+app.get("/api-keys", (req, res) => {
+  if (!requireSession(req, res)) return;
+  res.json({ apiKeys: listApiKeys(getWorkspaceId(req)) });
+});
+
+app.delete("/api-keys/:apiKeyId", (req, res) => {
+  if (!requireSession(req, res)) return;
+  if (!deleteApiKey(getWorkspaceId(req), req.params.apiKeyId))
+    return sendError(res, 404, "API key not found");
+  res.status(204).end();
+});
+
+// CONNECTIONS
+app.post("/connections", (req, res) => {
+  const { name, type, credentials } = req.body;
+  const validationError = validateConnection({ type, credentials });
+  if (validationError) return sendError(res, 400, validationError);
+
+  const connection = createConnection({ workspaceId: getWorkspaceId(req), name, type, credentials });
+  res.status(201).json(connection);
+});
+
+app.get("/connections", (req, res) => {
+  res.json({ connections: listConnections(getWorkspaceId(req)) });
+});
+
+app.delete("/connections/:connectionId", (req, res) => {
+  if (!deleteConnection(getWorkspaceId(req), req.params.connectionId))
+    return sendError(res, 404, "Connection not found");
+  res.status(204).end();
+});
 
 // OAUTH CALLBACK (for Google)
+// Stores the exchanged tokens as a "google" connection; only the connection id goes back.
 app.post("/oauth/callback", async (req, res) => {
-  const { code, redirect_uri, client_id, client_secret } = req.body;
+  const { code, redirect_uri, name } = req.body;
+  const client_id = req.body.client_id || process.env.MY_CLIENT_ID;
+  const client_secret = req.body.client_secret || process.env.MY_SECRET_ID;
   if (!code || !client_id || !client_secret)
-    return res.status(400).json({ error: "Missing authorization code or credentials" });
+    return sendError(res, 400, "Missing authorization code or credentials");
 
+  const startedAt = Date.now();
   try {
     const { google } = require("googleapis");
     const authClient = new google.auth.OAuth2(client_id, client_secret, redirect_uri);
@@ -26,47 +375,133 @@ app.post("/oauth/callback", async (req, res) => {
       expires_at: tokens.expiry_date || Date.now() + 3600 * 1000,
       token_type: tokens.token_type || "Bearer",
     };
-    res.json(tokenData);
+    const connection = createConnection({
+      workspaceId: getWorkspaceId(req),
+      name,
+      type: "google",
+      credentials: tokenData,
+    });
+    logOAuthEvent(req, "callback", { startedAt, connectionId: connection.id });
+    res.json({
+      connectionId: connection.id,
+      connection,
+      expires_at: tokenData.expires_at,
+      token_type: tokenData.token_type,
+    });
   } catch (error) {
-    res.status(500).json({ error: "OAuth exchange failed", details: error.message });
+    logOAuthEvent(req, "callback", { startedAt, error });
+    sendOAuthError(res, error, "OAuth exchange failed");
   }
 });
 
 // OAUTH REFRESH
 app.post("/oauth/refresh", async (req, res) => {
+  const { connectionId } = req.body;
+  const startedAt = Date.now();
+  if (connectionId) {
+    const stored = getConnectionCredentials(getWorkspaceId(req), connectionId);
+    if (!stored) return sendError(res, 404, "Connection not found");
+    try {
+      const tokens = await refreshGoogleTokens(stored);
+      updateConnectionCredentials(getWorkspaceId(req), connectionId, tokens);
+      logOAuthEvent(req, "refresh", { startedAt, connectionId });
+      return res.json({ connectionId, expires_at: tokens.expires_at });
+    } catch (error) {
+      logOAuthEvent(req, "refresh", { startedAt, connectionId, error });
+      return sendOAuthError(res, error, "Token refresh failed");
+    }
+  }
+
   const { refresh_token, client_id, client_secret } = req.body;
   if (!refresh_token || !client_id || !client_secret)
-    return res.status(400).json({ error: "Missing refresh_token or client credentials" });
+    return sendError(res, 400, "Missing refresh_token or client credentials");
 
   try {
-    const { google } = require("googleapis");
-    const authClient = new google.auth.OAuth2(client_id, client_secret);
-    authClient.setCredentials({ refresh_token });
-    const { credentials } = await authClient.refreshAccessToken();
-    const tokenData = {
-      client_id,
-      client_secret,
-      access_token: credentials.access_token,
-      refresh_token: credentials.refresh_token || refresh_token,
-      expires_at: credentials.expiry_date || Date.now() + 3600 * 1000,
-      token_type: credentials.token_type || "Bearer",
-    };
-    res.json(tokenData);
+    const tokens = await refreshGoogleTokens({ client_id, client_secret, refresh_token });
+    logOAuthEvent(req, "refresh", { startedAt });
+    res.json({ client_id, client_secret, ...tokens });
   } catch (error) {
-    res.status(400).json({ error: "Token refresh failed", details: error.message, requiresReauth: true });
+    logOAuthEvent(req, "refresh", { startedAt, error });
+    sendOAuthError(res, error, "Token refresh failed");
+  }
+});
+
+// BLOCK CATALOG
+app.get("/blocks", (req, res) => {
+  res.json({ blocks: describeBlocks(getBlocks()) });
+});
+
+// Re-reads block plugins; admins only, and disabled in production (use
+// NODE_ENV=development for a file watcher)
+app.post("/blocks/reload", (req, res) => {
+  if (process.env.NODE_ENV === "production")
+    return sendError(res, 404, "Not found");
+  if (!requireAdmin(req, res)) return;
+  res.json(loadPlugins());
+});
+
+// DECLARATIVE BLOCK DEFINITIONS
+// Saved definitions run as "custom.<id>" in every workspace, so only admins save or delete
+// them. PUT accepts JSON or YAML (Content-Type: text/yaml).
+const BLOCK_DEFINITION_ID = /^[A-Za-z0-9_-]+$/;
+
+app.get("/block-definitions", (req, res) => {
+  res.json({ definitions: listBlockDefinitions() });
+});
+
+app.get("/block-definitions/:id", (req, res) => {
+  const saved = getBlockDefinition(req.params.id);
+  if (!saved) return sendError(res, 404, "Block definition not found");
+  res.json(saved);
+});
+
+app.put(
+  "/block-definitions/:id",
+  express.text({ type: ["text/yaml", "application/yaml", "application/x-yaml"] }),
+  (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const { id } = req.params;
+    if (!BLOCK_DEFINITION_ID.test(id))
+      return sendError(res, 400, "Definition id may only contain letters, digits, _ and -");
+
+    let definition = req.body;
+    if (typeof definition === "string") {
+      try {
+        definition = YAML.parse(definition);
+      } catch (err) {
+        return sendError(res, 400, "Invalid YAML", { details: err.message });
+      }
+    }
+    const blockId = `custom.${id}`;
+    let errors = validateDeclarativeBlock(blockId, definition);
+    if (!errors.length) errors = validateBlock(blockId, compileDeclarativeBlock(definition));
+    if (errors.length) return sendError(res, 422, "Invalid block definition", { errors });
+
+    const saved = saveBlockDefinition(id, definition);
+    loadPlugins();
+    res.json({ ...saved, blockId });
   }
+);
+
+app.delete("/block-definitions/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!deleteBlockDefinition(req.params.id))
+    return sendError(res, 404, "Block definition not found");
+  loadPlugins();
+  res.status(204).end();
 });
 
-function isTokenExpired(tokenData) {
-  if (!tokenData.expires_at) return false;
-  const bufferTime = 5 * 60 * 1000;
-  return Date.now() > tokenData.expires_at - bufferTime;
-}
+app.get("/blocks/:blockId", (req, res) => {
+  const block = getBlock(req.params.blockId);
+  if (!block) return sendError(res, 404, "Block not found");
+  res.json(describeBlock(req.params.blockId, block));
+});
 
 // GENERIC BLOCK EXECUTION ENDPOINT
+// "Cache-Control: no-cache" (or max-age=0) skips the read cache for this call
+const BYPASS_CACHE = /no-cache|no-store|max-age=0/;
+
 app.post("/block/execute", async (req, res) => {
-  console.log('/block/execute reacht to here');
-  
   try {
     /**
      POST body:
@@ -74,65 +509,327 @@ app.post("/block/execute", async (req, res) => {
        blockId: "airtable-crud",
        operation: "fetch",
        params: {...input fields...},
-       credentials: { ... }
+       connectionId: "..."          // resolved server-side, or
+       credentials: { ... },        // raw credentials (legacy)
+       mapping: { name: "$.fields.Name", ... }, // optional, see resultMapping.js
+       dryRun: true                 // optional: preview the request, send nothing
      }
+     Responds with { records, nextCursor, meta } (a request preview for dryRun).
      */
-    const { blockId, operation, params = {}, credentials = {} } = req.body;
-    const block = blockConfigs[blockId];
-    if (!block) return res.status(400).json({ error: "Block not found" });
-    const op = block.operations[operation];
-    if (!op) return res.status(400).json({ error: "Operation not found" });
-
-    if (op.execute) {
-      // Internal handler (for Google APIs)
-      if (!credentials.clientId && credentials.client_id) credentials.clientId = credentials.client_id;
-      if (!credentials.secretId && credentials.client_secret) credentials.secretId = credentials.client_secret;
-      if (!credentials.access_token) credentials.access_token = credentials.accessToken;
-      // Provide dataFields/valuesArray compatibility for sheets/airtable.
-      params.dataFields = params.dataFields || params.fields || params;
-      params.valuesArray = params.valuesArray || Object.values(params.dataFields || params);
-
-      // Call
-      const result = await op.execute({ credentials, inputs: params });
-      return res.json(result);
+    const { blockId, operation, params, connectionId, credentials, mapping, dryRun } = req.body;
+    const { result, refreshedTokens, cache } = await executeBlock({
+      workspaceId: getWorkspaceId(req),
+      blockId,
+      operation,
+      params,
+      connectionId,
+      credentials,
+      mapping,
+      dryRun: dryRun === true,
+      source: "api",
+      actor: getActor(req),
+      useCache: !BYPASS_CACHE.test(req.get("cache-control") || ""),
+    });
+
+    // Cacheable reads carry ETag/Cache-Control; a matching If-None-Match gets a 304
+    if (cache) {
+      const maxAge = Math.max(0, Math.round((cache.expiresAt - Date.now()) / 1000));
+      res.set({ ETag: cache.etag, "Cache-Control": `private, max-age=${maxAge}`, "X-Cache": cache.status });
+      const known = (req.get("if-none-match") || "").split(",").map((tag) => tag.trim());
+      if (!refreshedTokens && known.includes(cache.etag)) return res.status(304).end();
     }
 
-    // For REST blocks (like Airtable)
-    // Required fields
-    if (op.requiredFields && op.requiredFields.some(f => !params[f]))
-      return res.status(400).json({ error: "Missing required fields" });
+    if (!refreshedTokens) return res.json(result);
+    // Stored connections are already updated; raw-credential callers get the new token set to persist.
+    res.set("X-Token-Refreshed", "true");
+    return res.json(connectionId ? result : { ...result, tokens: refreshedTokens });
+  } catch (err) {
+    res
+      .status(err.statusCode || 500)
+      .json(errorBody(err, "Block execution failed"));
+  }
+});
+
+// EXECUTION LOG
+// Filters: kind, status, source, blockId, operation, connectionId, since, until (ISO);
+// paginated with pageSize/cursor like block list operations.
+app.get("/executions", (req, res) => {
+  const { values, errors } = validateInputs(EXECUTION_QUERY_SCHEMA, req.query);
+  ["since", "until"].forEach((field) => {
+    if (values[field] && Number.isNaN(Date.parse(values[field])))
+      errors.push({ field, message: "must be an ISO timestamp" });
+  });
+  if (errors.length) return sendError(res, 422, "Invalid query", { fields: errors });
+  res.json(listExecutions(getWorkspaceId(req), values));
+});
+
+app.get("/executions/:executionId", (req, res) => {
+  const execution = getExecution(getWorkspaceId(req), req.params.executionId);
+  if (!execution) return sendError(res, 404, "Execution not found");
+  res.json(execution);
+});
+
+// WORKFLOW EXECUTION
+app.post("/workflow/execute", async (req, res) => {
+  /**
+   POST body:
+   {
+     workflow: { steps: [...] },    // see workflowEngine.js
+     input: {...}                   // available to templates as {{input.*}}
+   }
+   */
+  const { workflow, input } = req.body;
+  try {
+    const run = await runWorkflow(workflow, {
+      workspaceId: getWorkspaceId(req),
+      input,
+      actor: getActor(req),
+    });
+    res.json(run);
+  } catch (err) {
+    logger.error("Workflow execution failed", { error: err });
+    res
+      .status(err.statusCode || 500)
+      .json(errorBody(err, "Workflow execution failed"));
+  }
+});
+
+// SAVED WORKFLOWS
+// { name, definition: { steps }, input, schedule: { cron, timezone, enabled } }
+const withNextRun = (workflow) => ({ ...workflow, nextRunAt: getNextRunAt(workflow.id) });
+
+// Saved workflows are stored as-is, so steps must reference connections (encrypted at
+// rest) instead of carrying raw credentials.
+const storedStepErrors = (steps) =>
+  steps.flatMap((step, i) => {
+    if (step.credentials)
+      return [{ field: `steps[${i}].credentials`, message: "use a connectionId rather than raw credentials" }];
+    const block = getBlock(step.blockId);
+    if (!step.connectionId && (!block || block.credentialType))
+      return [{ field: `steps[${i}].connectionId`, message: "is required" }];
+    return [];
+  });
+
+const validateWorkflowBody = ({ definition, schedule }, { partial = false } = {}) => {
+  if (definition !== undefined || !partial) {
+    const errors = validateWorkflow(definition);
+    if (!errors.length) errors.push(...storedStepErrors(definition.steps));
+    if (errors.length) return { error: "Invalid workflow", fields: errors };
+  }
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) return { error: scheduleError };
+  return null;
+};
+
+app.post("/workflows", (req, res) => {
+  const invalid = validateWorkflowBody(req.body);
+  if (invalid) return res.status(422).json(invalid);
+  const workflow = createWorkflow({ ...req.body, workspaceId: getWorkspaceId(req) });
+  scheduleWorkflow(workflow);
+  res.status(201).json(withNextRun(workflow));
+});
+
+app.get("/workflows", (req, res) => {
+  res.json({ workflows: listWorkflows(getWorkspaceId(req)).map(withNextRun) });
+});
 
-    // URL, Payload, Headers
-    const config = block.config || {};
-    const url = op.buildUrl({ inputs: params, config });
-    const headers = op.buildHeaders({ credentials });
-    let payload = undefined;
-    if (op.buildPayload) payload = op.buildPayload({ inputs: params });
+app.get("/workflows/:workflowId", (req, res) => {
+  const workflow = getWorkflow(getWorkspaceId(req), req.params.workflowId);
+  if (!workflow) return sendError(res, 404, "Workflow not found");
+  res.json(withNextRun(workflow));
+});
 
-    const method = op.method.toLowerCase();
-    let axiosConfig = { url, method, headers, data: payload };
+app.put("/workflows/:workflowId", (req, res) => {
+  const invalid = validateWorkflowBody(req.body, { partial: true });
+  if (invalid) return res.status(422).json(invalid);
+  const workflow = updateWorkflow(getWorkspaceId(req), req.params.workflowId, req.body);
+  if (!workflow) return sendError(res, 404, "Workflow not found");
+  scheduleWorkflow(workflow);
+  res.json(withNextRun(workflow));
+});
 
-    // Remove empty data on GET/DELETE
-    if (!payload && (method === "get" || method === "delete")) delete axiosConfig.data;
+app.delete("/workflows/:workflowId", (req, res) => {
+  if (!deleteWorkflow(getWorkspaceId(req), req.params.workflowId))
+    return sendError(res, 404, "Workflow not found");
+  unscheduleWorkflow(req.params.workflowId);
+  res.status(204).end();
+});
 
-    // Execute request
-    const response = await axios(axiosConfig);
+app.post("/workflows/:workflowId/run", async (req, res) => {
+  const workflow = getWorkflow(getWorkspaceId(req), req.params.workflowId);
+  if (!workflow) return sendError(res, 404, "Workflow not found");
+  const run = await runSavedWorkflow(workflow, "manual", { input: req.body?.input, actor: getActor(req) });
+  res.json(run);
+});
+
+app.get("/workflows/:workflowId/runs", (req, res) => {
+  const workspaceId = getWorkspaceId(req);
+  if (!getWorkflow(workspaceId, req.params.workflowId))
+    return sendError(res, 404, "Workflow not found");
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  // History entries omit step outputs; fetch a single run for the details.
+  const runs = listRuns(workspaceId, req.params.workflowId)
+    .slice(0, limit)
+    .map(({ steps, ...run }) => ({
+      ...run,
+      steps: (steps || []).map(({ output, ...step }) => step),
+    }));
+  res.json({ runs });
+});
 
-    let out = response.data;
-    if (op.responseField) out = out[op.responseField];
-    if (op.transform) out = op.transform(out);
+app.get("/workflows/:workflowId/runs/:runId", (req, res) => {
+  const run = getRun(getWorkspaceId(req), req.params.runId);
+  if (!run || run.workflowId !== req.params.workflowId)
+    return sendError(res, 404, "Run not found");
+  res.json(run);
+});
 
-    return res.json(out);
+// WEBHOOKS
+// target: { blockId, operation, connectionId, params } or { workflowId }
+// Block params are templates over the delivery: {{payload.*}}, {{headers.*}}, {{query.*}}.
+// Senders sign each delivery with X-Ezyr-Timestamp and X-Ezyr-Signature (see hookStore.js).
+app.post("/hooks", (req, res) => {
+  const { name, target, mode } = req.body;
+  const validationError = validateHook({ target, mode });
+  if (validationError) return sendError(res, 422, validationError);
+  const workspaceId = getWorkspaceId(req);
+  if (target.workflowId && !getWorkflow(workspaceId, target.workflowId))
+    return sendError(res, 404, "Workflow not found");
+
+  const hook = createHook({ workspaceId, name, target, mode });
+  res.status(201).json({ ...hook, url: `/hooks/${hook.id}` });
+});
+
+app.get("/hooks", (req, res) => {
+  res.json({ hooks: listHooks(getWorkspaceId(req)) });
+});
+
+app.delete("/hooks/:hookId", (req, res) => {
+  if (!deleteHook(getWorkspaceId(req), req.params.hookId))
+    return sendError(res, 404, "Hook not found");
+  res.status(204).end();
+});
+
+app.post("/hooks/:hookId", async (req, res) => {
+  const hook = getHookForDelivery(req.params.hookId);
+  if (!hook) return sendError(res, 404, "Hook not found");
+  const signature = req.get("x-ezyr-signature");
+  if (!verifySignature(hook.secret, req.rawBody, signature, req.get("x-ezyr-timestamp")))
+    return sendError(res, 401, "Invalid signature");
+
+  const context = { payload: req.body || {}, headers: req.headers, query: req.query };
+  const actor = { hookId: hook.id, ip: req.ip };
+  const deliver = () =>
+    runTarget(hook.target, { workspaceId: hook.workspaceId, trigger: "webhook", context, actor });
+
+  if (hook.mode === "async") {
+    const deliveryId = crypto.randomUUID();
+    deliver()
+      .then((run) => logger.info("Webhook delivered", { hookId: hook.id, deliveryId, status: run.status }))
+      .catch((err) => logger.error("Webhook delivery failed", { hookId: hook.id, deliveryId, error: err }));
+    return res.status(202).json({ status: "accepted", deliveryId });
+  }
+
+  try {
+    const run = await deliver();
+    res.status(run.status === "success" ? 200 : 502).json(run);
   } catch (err) {
-    console.error("Block execution error:", err);
-    res.status(500).json({ error: err.message || "Block execution failed" });
+    logger.error("Webhook delivery failed", { hookId: hook.id, error: err });
+    res
+      .status(err.statusCode || 500)
+      .json(errorBody(err, "Webhook delivery failed"));
   }
 });
 
-// Health
+// POLLING TRIGGERS
+// { type, connectionId, config, intervalSeconds, target } — see triggerPoller.js.
+// The target's templates see the new item as {{item.*}}.
+app.post("/triggers", (req, res) => {
+  const validationError = validateTrigger(req.body);
+  if (validationError) return sendError(res, 422, validationError);
+  const trigger = createTrigger({ ...req.body, workspaceId: getWorkspaceId(req) });
+  res.status(201).json(trigger);
+});
+
+app.get("/triggers", (req, res) => {
+  res.json({ triggers: listTriggers(getWorkspaceId(req)) });
+});
+
+app.get("/triggers/:triggerId", (req, res) => {
+  const trigger = getTrigger(getWorkspaceId(req), req.params.triggerId);
+  if (!trigger) return sendError(res, 404, "Trigger not found");
+  res.json(trigger);
+});
+
+app.put("/triggers/:triggerId", (req, res) => {
+  const validationError = validateTrigger(req.body, { partial: true });
+  if (validationError) return sendError(res, 422, validationError);
+  const trigger = updateTrigger(getWorkspaceId(req), req.params.triggerId, req.body);
+  if (!trigger) return sendError(res, 404, "Trigger not found");
+  res.json(trigger);
+});
+
+app.delete("/triggers/:triggerId", (req, res) => {
+  if (!deleteTrigger(getWorkspaceId(req), req.params.triggerId))
+    return sendError(res, 404, "Trigger not found");
+  res.status(204).end();
+});
+
+// Poll now instead of waiting for the interval
+app.post("/triggers/:triggerId/poll", async (req, res) => {
+  const trigger = getTrigger(getWorkspaceId(req), req.params.triggerId);
+  if (!trigger) return sendError(res, 404, "Trigger not found");
+  res.json(await pollTrigger(trigger));
+});
+
+// HEALTH
+// Readiness: configuration and storage checks (see health.js); 503 when a check fails.
+// The public route only reports the overall status; the checks name configuration and
+// plugin files, so they are for admins.
 app.get("/health", (req, res) => {
+  const { status, timestamp } = readinessReport();
+  res.status(status === "unavailable" ? 503 : 200).json({ status, timestamp });
+});
+
+app.get("/health/details", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const report = readinessReport();
+  res.status(report.status === "unavailable" ? 503 : 200).json(report);
+});
+
+// Liveness: the process is up and answering
+app.get("/health/live", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+// METRICS (Prometheus text format), for scrapers holding METRICS_TOKEN
+app.get("/metrics", (req, res) => {
+  if (!process.env.METRICS_TOKEN) return sendError(res, 404, "Not found");
+  if (!hasMetricsToken(req))
+    return sendError(res, 401, "Invalid metrics token");
+  res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
+// Unmatched routes and anything a route throws (or a malformed body) still get the
+// error envelope, never Express's HTML page.
+app.use((req, res) => sendError(res, 404, "Not found"));
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // body-parser errors carry a status; `expose` marks messages that are safe to show
+  if (err.type === "entity.parse.failed") return sendError(res, 400, "Malformed JSON body");
+  if (err.status && err.expose) return sendError(res, err.status, err.message);
+  if (err.statusCode) return res.status(err.statusCode).json(errorBody(err));
+  logger.error("Request failed", { method: req.method, path: req.path, error: err });
+  sendError(res, 500, "Internal server error");
+});
+
+loadPlugins();
+if (process.env.NODE_ENV === "development") watchPlugins();
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server started at http://localhost:${PORT}`));
+app.listen(PORT, () => {
+  logger.info("Server started", { url: `http://localhost:${PORT}` });
+  startScheduler();
+  startTriggerPoller();
+});
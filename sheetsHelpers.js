@@ -0,0 +1,154 @@
+// sheetsHelpers.js
+// Shared plumbing for the google-sheets-crud block: client creation, A1 ranges,
+// tab lookup and mapping between row arrays and named fields.
+const { google } = require("googleapis");
+const { wrapApiClient } = require("./googleAuth");
+const { createHttpError } = require("./errors");
+
+// Column names used when neither headerRow nor columns are given (the original layout).
+const DEFAULT_COLUMNS = ["name", "email"];
+
+// `call` (from executeBlock) wraps each API request; see wrapApiClient.
+function createSheetsClient(credentials, call) {
+  const authClient = new google.auth.OAuth2(credentials.clientId, credentials.secretId);
+  authClient.setCredentials({ access_token: credentials.access_token });
+  return wrapApiClient(google.sheets({ version: "v4", auth: authClient }), call);
+}
+
+// Tab names with spaces or punctuation must be quoted in A1 notation.
+const quoteSheetName = (name) => `'${String(name).replace(/'/g, "''")}'`;
+
+const a1 = (sheetName, range) => `${quoteSheetName(sheetName)}!${range}`;
+
+// "C2:F" -> { column: "C", row: 2, endColumn: "F" }; a range without a row starts at row 1.
+function parseRange(range) {
+  const match = /^([A-Za-z]+)(\d*)(?::([A-Za-z]*)\d*)?$/.exec(range || "");
+  return {
+    column: match ? match[1].toUpperCase() : "A",
+    row: match && match[2] ? Number(match[2]) : 1,
+    endColumn: match && match[3] ? match[3].toUpperCase() : null,
+  };
+}
+
+// "A" -> 0, "AA" -> 26
+const columnIndex = (column) =>
+  [...column].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+function resolveSpreadsheetId(inputs) {
+  const spreadsheetId = inputs.spreadsheetId || process.env.MY_SPREEDSHEET_ID;
+  if (!spreadsheetId)
+    throw createHttpError(422, "Invalid inputs", {
+      fields: [{ field: "spreadsheetId", message: "is required" }],
+    });
+  return spreadsheetId;
+}
+
+// Looks up a tab's numeric sheetId (needed by batchUpdate requests) by its name.
+async function getSheetId(sheets, spreadsheetId, sheetName) {
+  const response = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties(sheetId,title)",
+  });
+  const sheet = (response.data.sheets || []).find((s) => s.properties.title === sheetName);
+  if (!sheet) throw createHttpError(404, `Sheet "${sheetName}" not found`);
+  return sheet.properties.sheetId;
+}
+
+// Reads one sheet row, limited to the columns covered by inputs.range.
+async function getRow(sheets, spreadsheetId, inputs, rowNumber) {
+  const { column, endColumn } = parseRange(inputs.range);
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1(
+      inputs.sheetName,
+      endColumn ? `${column}${rowNumber}:${endColumn}${rowNumber}` : `${rowNumber}:${rowNumber}`
+    ),
+  });
+  const cells = (response.data.values || [])[0] || [];
+  return endColumn ? cells : cells.slice(columnIndex(column));
+}
+
+// In headerRow mode the first row of the range holds the field names.
+async function getHeaderColumns(sheets, spreadsheetId, inputs) {
+  const cells = await getRow(sheets, spreadsheetId, inputs, parseRange(inputs.range).row);
+  return cells.map((cell) => String(cell).trim());
+}
+
+async function getColumns(sheets, spreadsheetId, inputs) {
+  if (inputs.headerRow) return getHeaderColumns(sheets, spreadsheetId, inputs);
+  return inputs.columns || DEFAULT_COLUMNS;
+}
+
+const rowToFields = (row, columns) =>
+  Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ""]));
+
+const fieldsToRow = (fields, columns) => columns.map((column) => fields[column] ?? "");
+
+// The row to write for create/update: mapped by header or explicit columns, otherwise
+// the raw valuesArray as before. In idColumn mode the row is always mapped by columns.
+async function buildRowValues(sheets, spreadsheetId, inputs, columns) {
+  if (columns) return fieldsToRow(inputs.dataFields, columns);
+  if (inputs.headerRow || inputs.columns)
+    return fieldsToRow(inputs.dataFields, await getColumns(sheets, spreadsheetId, inputs));
+  return inputs.valuesArray;
+}
+
+async function getIdColumnPosition(sheets, spreadsheetId, inputs) {
+  const columns = await getColumns(sheets, spreadsheetId, inputs);
+  const position = columns.indexOf(inputs.idColumn);
+  if (position === -1)
+    throw createHttpError(422, "Invalid inputs", {
+      fields: [{ field: "idColumn", message: `column "${inputs.idColumn}" not found` }],
+    });
+  return { columns, position };
+}
+
+// In idColumn mode, refuses to touch a row whose key no longer matches recordId,
+// i.e. the record moved (rows inserted/deleted) since the caller fetched it.
+async function assertRowKey(sheets, spreadsheetId, inputs, rowNumber) {
+  if (!inputs.idColumn) return null;
+  if (!inputs.recordId)
+    throw createHttpError(422, "Invalid inputs", {
+      fields: [{ field: "recordId", message: "is required when idColumn is set" }],
+    });
+  const { columns, position } = await getIdColumnPosition(sheets, spreadsheetId, inputs);
+  const row = await getRow(sheets, spreadsheetId, inputs, rowNumber);
+  const currentKey = row[position] ?? "";
+  if (currentKey !== inputs.recordId)
+    throw createHttpError(409, "Row has moved or was changed", {
+      recordId: inputs.recordId,
+      rowNumber,
+      currentRecordId: currentKey || null,
+    });
+  return columns;
+}
+
+// The row as it is now, for dry-run previews: its A1 range, raw cells and, when the
+// column names are known, the cells by field name.
+async function describeRow(sheets, spreadsheetId, inputs, rowNumber) {
+  const { column, endColumn } = parseRange(inputs.range);
+  const cells = await getRow(sheets, spreadsheetId, inputs, rowNumber);
+  const columns = await getColumns(sheets, spreadsheetId, inputs);
+  return {
+    range: a1(inputs.sheetName, `${column}${rowNumber}${endColumn ? `:${endColumn}${rowNumber}` : ""}`),
+    values: cells,
+    fields: rowToFields(cells, columns),
+  };
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  createSheetsClient,
+  a1,
+  parseRange,
+  resolveSpreadsheetId,
+  getSheetId,
+  getRow,
+  getColumns,
+  getIdColumnPosition,
+  rowToFields,
+  fieldsToRow,
+  buildRowValues,
+  assertRowKey,
+  describeRow,
+};
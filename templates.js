@@ -0,0 +1,54 @@
+// templates.js
+// "{{path}}" templating used to wire workflow step inputs to earlier outputs,
+// e.g. "{{steps.search.records[0].fields.From}}".
+
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHOLE_TEMPLATE = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+// "a.b[0]['c d']" -> ["a", "b", "0", "c d"]
+function parsePath(path) {
+  const segments = [];
+  const pattern = /[^.[\]]+|\[(\d+|'[^']*'|"[^"]*")\]/g;
+  let match;
+  while ((match = pattern.exec(path))) {
+    const segment = match[1] !== undefined ? match[1].replace(/^['"]|['"]$/g, "") : match[0];
+    segments.push(segment);
+  }
+  return segments;
+}
+
+function getPath(source, path) {
+  return parsePath(path).reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+// A value that is exactly one "{{expr}}" resolves to the raw value (arrays, objects,
+// numbers survive); templates embedded in text are interpolated as strings.
+function renderTemplate(value, context) {
+  if (typeof value === "string") {
+    const whole = WHOLE_TEMPLATE.exec(value);
+    if (whole) return getPath(context, whole[1]);
+    return value.replace(TEMPLATE_PATTERN, (_, path) => {
+      const resolved = getPath(context, path);
+      if (resolved == null) return "";
+      return typeof resolved === "object" ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => renderTemplate(item, context));
+  if (value && typeof value === "object")
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, renderTemplate(entry, context)])
+    );
+  return value;
+}
+
+// Every path referenced by templates anywhere inside `value`.
+function findTemplatePaths(value, paths = []) {
+  if (typeof value === "string") {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) paths.push(match[1]);
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((entry) => findTemplatePaths(entry, paths));
+  }
+  return paths;
+}
+
+module.exports = { getPath, renderTemplate, findTemplatePaths };
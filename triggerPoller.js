@@ -0,0 +1,254 @@
+// triggerPoller.js
+// Polling triggers: periodically read a block, emit only items not seen before and run
+// the trigger's target for each one ({{item.*}} in its templates).
+//
+// Each type's poll(trigger, checkpoint, read) resolves to { items, checkpoint }, where
+// every item carries the checkpoint to persist once it has been handled and `checkpoint`
+// is the state after all of them. The first poll only records a starting checkpoint, so
+// existing mail/records/rows are not replayed. A failed target run stops the poll before
+// its checkpoint is written, so the item is retried on the next poll instead of skipped.
+const crypto = require("crypto");
+const { executeBlock } = require("./blockExecutor");
+const { runTarget } = require("./scheduler");
+const { listEnabledTriggers, saveTriggerState } = require("./triggerStore");
+const { logger } = require("./logger");
+
+const TICK_MS = 10 * 1000;
+const DEFAULT_INTERVAL_SECONDS = 60;
+const MIN_INTERVAL_SECONDS = 15;
+// How many recently emitted ids/keys are remembered to de-duplicate overlapping polls
+// (at least the largest read, so a retried read does not replay what it already emitted).
+const SEEN_WINDOW = 1000;
+// Timestamp-based queries re-read this much before the boundary (second granularity).
+const OVERLAP_MS = 1000;
+
+const remember = (seen, key) => [...seen, key].slice(-SEEN_WINDOW);
+
+// Gmail and Airtable are read as scans: each poll reads at most maxItems items newer than
+// the checkpoint's boundary. When that read is cut short the boundary stays where it is
+// and the next poll continues from `cursor`, so items beyond the cap are not skipped; the
+// boundary only moves up to the newest item (`high`) once a scan has read everything.
+// seenKeys (recent emissions) and edgeKeys (items within OVERLAP_MS of the newest one)
+// keep re-read items from being emitted twice.
+const isSeen = (state, key) =>
+  state.seenKeys.includes(key) || (state.edgeKeys || []).some((entry) => entry.key === key);
+
+function markSeen(state, key, stampMs) {
+  const high = Math.max(state.high || 0, stampMs);
+  const edgeKeys = [...(state.edgeKeys || []), { key, stampMs }].filter(
+    (entry) => entry.stampMs >= high - OVERLAP_MS
+  );
+  return { ...state, high, seenKeys: remember(state.seenKeys, key), edgeKeys };
+}
+
+// Reads from the saved cursor; a cursor the API no longer accepts restarts the scan at the
+// boundary (seenKeys then skip what this scan already emitted).
+async function readScan(read, cursor, paramsFor) {
+  if (!cursor) return { ...(await read("fetch", paramsFor(undefined))), cursor: null };
+  try {
+    return { ...(await read("fetch", paramsFor(cursor))), cursor };
+  } catch {
+    return { ...(await read("fetch", paramsFor(undefined))), cursor: null };
+  }
+}
+
+// The checkpoint after a read: continue the scan, or move the boundary with `advance(high)`.
+const finishScan = (state, nextCursor, advance) =>
+  nextCursor
+    ? { ...state, cursor: nextCursor }
+    : { ...state, ...(state.high ? advance(state.high) : {}), cursor: null, high: 0 };
+
+const TRIGGER_TYPES = {
+  // New messages matching config.query, using Gmail's after: (seconds) as the boundary
+  gmail_new_message: {
+    blockId: "gmail_search_emails",
+    async poll({ config }, checkpoint, read) {
+      if (!checkpoint)
+        return { items: [], checkpoint: { after: Math.floor(Date.now() / 1000), seenKeys: [] } };
+      const { records, nextCursor, cursor } = await readScan(read, checkpoint.cursor, (page) => ({
+        query: `${config.query || ""} after:${checkpoint.after}`.trim(),
+        headers: config.headers,
+        cursor: page,
+        fetchAll: true,
+        pageSize: 50,
+        maxItems: 200,
+      }));
+      // Checkpoints saved before scans kept plain message ids in seenIds
+      const { seenIds, ...saved } = checkpoint;
+      const start = { ...saved, seenKeys: saved.seenKeys || seenIds || [], cursor };
+      let state = start;
+      const items = records
+        .filter((record) => !isSeen(start, record.id))
+        .sort((a, b) => a.internalDate - b.internalDate)
+        .map((record) => {
+          state = markSeen(state, record.id, Number(record.internalDate));
+          return { item: record, checkpoint: state };
+        });
+      const advance = (high) => ({
+        after: Math.max(state.after, Math.floor((high - OVERLAP_MS) / 1000)),
+      });
+      return { items, checkpoint: finishScan(state, nextCursor, advance) };
+    },
+  },
+
+  // New records by CREATED_TIME(), or by config.timestampField (e.g. a "Last modified
+  // time" field) to also pick up edits.
+  airtable_new_record: {
+    blockId: "airtable-crud",
+    requiredConfig: ["baseId", "tableName"],
+    async poll({ config }, checkpoint, read) {
+      if (!checkpoint) return { items: [], checkpoint: { since: new Date().toISOString(), seenKeys: [] } };
+      const timeExpression = config.timestampField ? `{${config.timestampField}}` : "CREATED_TIME()";
+      const stampOf = (record) =>
+        config.timestampField ? record.fields[config.timestampField] : record.createdTime;
+      const since = new Date(new Date(checkpoint.since).getTime() - OVERLAP_MS).toISOString();
+      const newerThan = `IS_AFTER(${timeExpression}, DATETIME_PARSE('${since}'))`;
+      const { records, nextCursor, cursor } = await readScan(read, checkpoint.cursor, (page) => ({
+        baseId: config.baseId,
+        tableName: config.tableName,
+        view: config.view,
+        filterByFormula: config.filterByFormula ? `AND(${newerThan}, ${config.filterByFormula})` : newerThan,
+        cursor: page,
+        fetchAll: true,
+        maxItems: 500,
+      }));
+      const start = { ...checkpoint, cursor };
+      let state = start;
+      const items = records
+        .filter((record) => stampOf(record) && !isSeen(start, `${record.id}@${stampOf(record)}`))
+        .sort((a, b) => new Date(stampOf(a)) - new Date(stampOf(b)))
+        .map((record) => {
+          const stamp = stampOf(record);
+          state = markSeen(state, `${record.id}@${stamp}`, new Date(stamp).getTime());
+          return { item: record, checkpoint: state };
+        });
+      const advance = (high) => ({
+        since: high > new Date(state.since).getTime() ? new Date(high).toISOString() : state.since,
+      });
+      return { items, checkpoint: finishScan(state, nextCursor, advance) };
+    },
+  },
+
+  // New rows, either appended below the last seen row (mode "rowCount", default) or any
+  // row whose content hash is new (mode "hash", survives inserts/sorting; identical rows
+  // count as one).
+  sheets_new_row: {
+    blockId: "google-sheets-crud",
+    async poll({ config }, checkpoint, read) {
+      const { mode = "rowCount", ...target } = config;
+      const { records: rows } = await read("fetch", target);
+
+      if (mode === "hash") {
+        const hashOf = (row) => crypto.createHash("sha1").update(JSON.stringify(row.fields)).digest("hex");
+        const current = rows.map(hashOf);
+        if (!checkpoint) return { items: [], checkpoint: { hashes: current } };
+        let state = checkpoint;
+        const items = rows
+          .filter((row, i) => !checkpoint.hashes.includes(current[i]))
+          .map((row) => {
+            state = { hashes: [...state.hashes, hashOf(row)] };
+            return { item: row, checkpoint: state };
+          });
+        // Forget rows that no longer exist once everything has been handled
+        return { items, checkpoint: { hashes: current } };
+      }
+
+      const lastRow = rows.reduce((max, row) => Math.max(max, row.rowNumber), 0);
+      if (!checkpoint) return { items: [], checkpoint: { lastRowNumber: lastRow } };
+      const items = rows
+        .filter((row) => row.rowNumber > checkpoint.lastRowNumber)
+        .map((row) => ({ item: row, checkpoint: { lastRowNumber: row.rowNumber } }));
+      // Following the current last row keeps deletions from hiding rows appended later
+      return { items, checkpoint: { lastRowNumber: lastRow } };
+    },
+  },
+};
+
+function validateTrigger({ type, connectionId, config, intervalSeconds, target }, { partial = false } = {}) {
+  if (!partial || type !== undefined) {
+    if (!TRIGGER_TYPES[type]) return `type must be one of: ${Object.keys(TRIGGER_TYPES).join(", ")}`;
+    if (!connectionId) return "connectionId is required";
+    const missing = (TRIGGER_TYPES[type].requiredConfig || []).filter((key) => !(config || {})[key]);
+    if (missing.length) return `Missing config: ${missing.join(", ")}`;
+  }
+  if (intervalSeconds !== undefined && !(Number.isInteger(intervalSeconds) && intervalSeconds >= MIN_INTERVAL_SECONDS))
+    return `intervalSeconds must be an integer of at least ${MIN_INTERVAL_SECONDS}`;
+  if (!partial || target !== undefined) {
+    if (!target || typeof target !== "object") return "target is required";
+    if (target.credentials) return "Triggers must use a connectionId rather than raw credentials";
+    if (!target.workflowId && !(target.blockId && target.operation))
+      return "target needs either workflowId or blockId and operation";
+  }
+  return null;
+}
+
+const polling = new Set();
+
+// Polls one trigger now. Resolves to { emitted, failed, error }.
+async function pollTrigger(trigger) {
+  if (polling.has(trigger.id)) return { emitted: 0, failed: 0, error: "Poll already in progress" };
+  polling.add(trigger.id);
+  const type = TRIGGER_TYPES[trigger.type];
+  const read = async (operation, params) => {
+    const { result } = await executeBlock({
+      workspaceId: trigger.workspaceId,
+      blockId: type.blockId,
+      operation,
+      params,
+      connectionId: trigger.connectionId,
+      source: "trigger",
+      actor: { triggerId: trigger.id },
+    });
+    return result;
+  };
+
+  let emitted = 0;
+  try {
+    const { items, checkpoint } = await type.poll(trigger, trigger.checkpoint, read);
+    for (const { item, checkpoint: next } of items) {
+      const run = await runTarget(trigger.target, {
+        workspaceId: trigger.workspaceId,
+        trigger: "trigger",
+        context: { item, trigger: { id: trigger.id, type: trigger.type } },
+        actor: { triggerId: trigger.id },
+      });
+      if (run.status !== "success") {
+        const failedStep = (run.steps || []).find((step) => step.status === "failed");
+        const reason = run.error?.message || failedStep?.error?.message || "step failed";
+        const error = `Target run failed; will retry from this item (${reason})`;
+        saveTriggerState(trigger.id, { lastPolledAt: new Date().toISOString(), lastError: error });
+        return { emitted, failed: 1, error };
+      }
+      emitted += 1;
+      saveTriggerState(trigger.id, { checkpoint: next });
+    }
+    saveTriggerState(trigger.id, { checkpoint, lastPolledAt: new Date().toISOString(), lastError: null });
+    return { emitted, failed: 0, error: null };
+  } catch (err) {
+    saveTriggerState(trigger.id, { lastPolledAt: new Date().toISOString(), lastError: err.message });
+    return { emitted, failed: 0, error: err.message };
+  } finally {
+    polling.delete(trigger.id);
+  }
+}
+
+const isDue = (trigger) => {
+  if (!trigger.lastPolledAt) return true;
+  const interval = (trigger.intervalSeconds || DEFAULT_INTERVAL_SECONDS) * 1000;
+  return Date.now() - new Date(trigger.lastPolledAt).getTime() >= interval;
+};
+
+function startTriggerPoller() {
+  setInterval(() => {
+    listEnabledTriggers()
+      .filter(isDue)
+      .forEach((trigger) =>
+        pollTrigger(trigger).then(({ emitted, error }) => {
+          if (emitted) logger.info("Trigger emitted items", { triggerId: trigger.id, emitted });
+          if (error) logger.error("Trigger poll failed", { triggerId: trigger.id, error });
+        })
+      );
+  }, TICK_MS);
+}
+
+module.exports = { TRIGGER_TYPES, validateTrigger, pollTrigger, startTriggerPoller };
@@ -0,0 +1,78 @@
+// triggerStore.js
+// Polling trigger definitions and their durable checkpoints, scoped per workspace.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+
+const store = createStore("triggers");
+
+const findTrigger = (workspaceId, id) => {
+  const trigger = store.get(id);
+  return trigger && trigger.workspaceId === workspaceId ? trigger : null;
+};
+
+function createTrigger({ workspaceId, name, type, connectionId, config, intervalSeconds, target, enabled }) {
+  const now = new Date().toISOString();
+  const trigger = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    name: name || type,
+    type,
+    connectionId,
+    config: config || {},
+    intervalSeconds,
+    target,
+    enabled: enabled !== false,
+    checkpoint: null,
+    lastPolledAt: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return store.set(trigger.id, trigger);
+}
+
+// Changing what is polled resets the checkpoint so the next poll starts fresh.
+function updateTrigger(workspaceId, id, changes) {
+  const trigger = findTrigger(workspaceId, id);
+  if (!trigger) return null;
+  const { name, connectionId, config, intervalSeconds, target, enabled } = changes;
+  const source = config !== undefined || connectionId !== undefined;
+  return store.set(id, {
+    ...trigger,
+    ...(name !== undefined && { name }),
+    ...(connectionId !== undefined && { connectionId }),
+    ...(config !== undefined && { config }),
+    ...(intervalSeconds !== undefined && { intervalSeconds }),
+    ...(target !== undefined && { target }),
+    ...(enabled !== undefined && { enabled }),
+    ...(source && { checkpoint: null }),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Poll bookkeeping (checkpoint, lastPolledAt, lastError); written after every item.
+function saveTriggerState(id, state) {
+  const trigger = store.get(id);
+  if (!trigger) return null;
+  return store.set(id, { ...trigger, ...state });
+}
+
+const listTriggers = (workspaceId) =>
+  store.list((trigger) => trigger.workspaceId === workspaceId);
+
+const listEnabledTriggers = () => store.list((trigger) => trigger.enabled);
+
+function deleteTrigger(workspaceId, id) {
+  if (!findTrigger(workspaceId, id)) return false;
+  return store.delete(id);
+}
+
+module.exports = {
+  createTrigger,
+  updateTrigger,
+  saveTriggerState,
+  getTrigger: findTrigger,
+  listTriggers,
+  listEnabledTriggers,
+  deleteTrigger,
+};
@@ -0,0 +1,101 @@
+// upstreamErrors.js
+// Per-service mappers from failed upstream calls (axios / googleapis errors) to HTTP
+// errors carrying the normalized envelope (see errors.js). Client errors keep their
+// upstream status, rate limits stay 429, upstream 5xx become 502 and timeouts 504.
+const { errorCode, createHttpError } = require("./errors");
+
+// Network failures without any upstream response.
+const NETWORK_ERRORS = {
+  ECONNABORTED: 504,
+  ETIMEDOUT: 504,
+  ECONNRESET: 502,
+  ECONNREFUSED: 502,
+  ENOTFOUND: 502,
+  EAI_AGAIN: 502,
+};
+
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+function proxyStatus(upstreamStatus) {
+  if (upstreamStatus >= 500) return 502;
+  if (upstreamStatus >= 400) return upstreamStatus;
+  return 502;
+}
+
+const bodyMessage = (error) => (typeof error === "string" ? error : error?.message);
+
+// Airtable answers { error: "NOT_FOUND" } or { error: { type, message } }.
+function airtableError(status, body) {
+  return {
+    message: bodyMessage(body?.error) || body?.error?.type,
+    requiresReauth: status === 401,
+  };
+}
+
+// Google answers { error: { code, message, status, errors: [{ reason }] } } (OAuth
+// endpoints: { error, error_description }). Quota reasons come back as 403 but are
+// really rate limits; missing scopes or a revoked grant need the user to reconnect.
+function googleError(status, body) {
+  const error = body?.error;
+  const reason = error?.errors?.[0]?.reason || (typeof error === "string" ? error : null);
+  const rateLimited = ["rateLimitExceeded", "userRateLimitExceeded", "quotaExceeded"].includes(reason);
+  return {
+    message: body?.error_description || bodyMessage(error),
+    statusCode: rateLimited ? 429 : undefined,
+    requiresReauth:
+      status === 401 || reason === "insufficientPermissions" || reason === "invalid_grant",
+  };
+}
+
+// Declarative REST blocks and anything else.
+function genericError(status, body) {
+  return {
+    message: bodyMessage(body?.error) || body?.message,
+    requiresReauth: status === 401,
+  };
+}
+
+const SERVICE_MAPPERS = {
+  airtable: airtableError,
+  google: googleError,
+  gmail: googleError,
+  googlesheets: googleError,
+};
+
+/**
+ * Normalizes an error thrown while calling `service`. Errors that already carry a
+ * statusCode are returned unchanged, as are programming errors (they stay 500s).
+ */
+function mapUpstreamError(service, err) {
+  if (err.statusCode) return err;
+
+  const response = err.response;
+  if (!response) {
+    const statusCode = NETWORK_ERRORS[err.code];
+    if (!statusCode) return err;
+    const message = statusCode === 504 ? "Upstream request timed out" : "Upstream service unreachable";
+    return createHttpError(statusCode, message, {
+      code: statusCode === 504 ? "UPSTREAM_TIMEOUT" : "UPSTREAM_UNREACHABLE",
+      retryable: true,
+      details: err.message,
+    });
+  }
+
+  const upstreamStatus = response.status;
+  const mapper = SERVICE_MAPPERS[service] || genericError;
+  const mapped = mapper(upstreamStatus, response.data);
+  const statusCode = mapped.statusCode || proxyStatus(upstreamStatus);
+  return createHttpError(
+    statusCode,
+    mapped.message || `Upstream request failed with status ${upstreamStatus}`,
+    {
+      code: errorCode(statusCode),
+      upstreamStatus,
+      upstreamBody: response.data ?? null,
+      retryable: RETRYABLE_STATUSES.includes(statusCode),
+      requiresReauth: Boolean(mapped.requiresReauth),
+    }
+  );
+}
+
+module.exports = { mapUpstreamError };
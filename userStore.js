@@ -0,0 +1,75 @@
+// userStore.js
+// API users. Passwords are stored as scrypt hashes ("salt:hash", hex); the hash never
+// leaves this module.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+
+const store = createStore("users");
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toSummary = ({ passwordHash, ...user }) => user;
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString("hex")}`;
+}
+
+function passwordMatches(password, passwordHash) {
+  const [salt, hash] = passwordHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const findByEmail = (email) =>
+  store.list((user) => user.email === normalizeEmail(email))[0] || null;
+
+function validateUser({ email, password }) {
+  if (typeof email !== "string" || !EMAIL.test(email.trim())) return "A valid email is required";
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (findByEmail(email)) return "Email is already registered";
+  return null;
+}
+
+function createUser({ email, password, name }) {
+  const user = {
+    id: crypto.randomUUID(),
+    email: normalizeEmail(email),
+    name: name || email.split("@")[0],
+    createdAt: new Date().toISOString(),
+    passwordHash: hashPassword(password),
+  };
+  store.set(user.id, user);
+  return toSummary(user);
+}
+
+// Resolves a login to the user summary, or null when the email or password is wrong.
+function authenticateUser(email, password) {
+  const user = typeof email === "string" ? findByEmail(email) : null;
+  return user && passwordMatches(password, user.passwordHash) ? toSummary(user) : null;
+}
+
+function getUser(id) {
+  const user = store.get(id);
+  return user ? toSummary(user) : null;
+}
+
+function getUserByEmail(email) {
+  const user = findByEmail(email);
+  return user ? toSummary(user) : null;
+}
+
+const hasUsers = () => store.list().length > 0;
+
+module.exports = {
+  validateUser,
+  createUser,
+  authenticateUser,
+  getUser,
+  getUserByEmail,
+  hasUsers,
+};
@@ -0,0 +1,176 @@
+// workflowEngine.js
+// Runs a workflow: a DAG of block steps whose params can reference earlier outputs.
+//
+// {
+//   steps: [
+//     { id: "search", blockId: "gmail_search_emails", operation: "fetch",
+//       connectionId: "...", params: { query: "is:unread" } },
+//     { id: "append", blockId: "google-sheets-crud", operation: "create", connectionId: "...",
+//       forEach: "{{steps.search.records}}",
+//       params: { dataFields: { email: "{{item.fields.From}}" } } }
+//   ]
+// }
+//
+// A step depends on every step it references as "steps.<id>" plus its `dependsOn` list.
+// Independent steps run concurrently. A failing step halts the run (remaining steps are
+// skipped) unless it sets `continueOnError`. Template context: { input, steps, item, index }.
+// Steps should use connections: tokens refreshed for raw `credentials` are not returned.
+// Step outputs are record envelopes ({ records, nextCursor, meta }); a step's `mapping`
+// reshapes its records (see resultMapping.js).
+const { executeBlock } = require("./blockExecutor");
+const { renderTemplate, findTemplatePaths } = require("./templates");
+const { createHttpError, errorDetails } = require("./errors");
+const { validateMapping } = require("./resultMapping");
+
+function stepDependencies(step) {
+  const referenced = findTemplatePaths([step.params, step.forEach, step.connectionId])
+    .map((path) => /^steps\.([^.[\]\s]+)/.exec(path))
+    .filter(Boolean)
+    .map((match) => match[1]);
+  return [...new Set([...(step.dependsOn || []), ...referenced])];
+}
+
+// Groups steps into waves; every step's dependencies are in an earlier wave.
+// Returns null when the dependencies contain a cycle.
+function planWaves(steps) {
+  const remaining = new Map(steps.map((step) => [step.id, stepDependencies(step)]));
+  const done = new Set();
+  const waves = [];
+  while (remaining.size) {
+    const ready = [...remaining.keys()].filter((id) =>
+      remaining.get(id).every((dep) => done.has(dep))
+    );
+    if (!ready.length) return null;
+    ready.forEach((id) => {
+      remaining.delete(id);
+      done.add(id);
+    });
+    waves.push(steps.filter((step) => ready.includes(step.id)));
+  }
+  return waves;
+}
+
+function validateWorkflow(workflow) {
+  const errors = [];
+  const steps = workflow && workflow.steps;
+  if (!Array.isArray(steps) || !steps.length) return [{ field: "steps", message: "must be a non-empty array" }];
+
+  const ids = new Set();
+  steps.forEach((step, i) => {
+    const field = `steps[${i}]`;
+    if (!step || typeof step.id !== "string" || !step.id)
+      return errors.push({ field: `${field}.id`, message: "is required" });
+    if (ids.has(step.id)) errors.push({ field: `${field}.id`, message: `duplicate step id "${step.id}"` });
+    ids.add(step.id);
+    if (!step.blockId) errors.push({ field: `${field}.blockId`, message: "is required" });
+    if (!step.operation) errors.push({ field: `${field}.operation`, message: "is required" });
+    validateMapping(step.mapping).forEach((error) =>
+      errors.push({ ...error, field: `${field}.${error.field}` })
+    );
+  });
+  if (errors.length) return errors;
+
+  steps.forEach((step, i) => {
+    stepDependencies(step).forEach((dep) => {
+      if (!ids.has(dep) || dep === step.id)
+        errors.push({ field: `steps[${i}]`, message: `depends on unknown step "${dep}"` });
+    });
+  });
+  if (!errors.length && !planWaves(steps))
+    errors.push({ field: "steps", message: "step dependencies contain a cycle" });
+  return errors;
+}
+
+async function invokeStep(step, context, { workspaceId, actor }) {
+  const { result } = await executeBlock({
+    workspaceId,
+    blockId: step.blockId,
+    operation: step.operation,
+    params: renderTemplate(step.params || {}, context),
+    connectionId: renderTemplate(step.connectionId, context),
+    credentials: step.credentials,
+    mapping: step.mapping,
+    source: "workflow",
+    actor,
+  });
+  return result;
+}
+
+async function runStep(step, context, scope) {
+  const startedAt = Date.now();
+  const summary = {
+    id: step.id,
+    blockId: step.blockId,
+    operation: step.operation,
+    startedAt: new Date(startedAt).toISOString(),
+  };
+  try {
+    let output;
+    if (step.forEach) {
+      const items = renderTemplate(step.forEach, context);
+      if (!Array.isArray(items))
+        throw createHttpError(422, `forEach of step "${step.id}" did not resolve to an array`);
+      output = [];
+      for (const [index, item] of items.entries())
+        output.push(await invokeStep(step, { ...context, item, index }, scope));
+    } else {
+      output = await invokeStep(step, context, scope);
+    }
+    return { ...summary, status: "success", durationMs: Date.now() - startedAt, output };
+  } catch (err) {
+    return {
+      ...summary,
+      status: "failed",
+      durationMs: Date.now() - startedAt,
+      error: { message: err.message, statusCode: err.statusCode || 500, ...errorDetails(err) },
+    };
+  }
+}
+
+/**
+ * Runs `workflow` and resolves to { status, startedAt, durationMs, steps: [...] } with
+ * one entry per step (status "success" | "failed" | "skipped", timing, output, error).
+ * `context` adds extra template roots (e.g. a webhook payload); `actor` (who or what
+ * started the run) is recorded in the execution log for every step.
+ */
+async function runWorkflow(workflow, { workspaceId, input = {}, context = {}, actor } = {}) {
+  const errors = validateWorkflow(workflow);
+  if (errors.length) throw createHttpError(422, "Invalid workflow", { fields: errors });
+
+  const startedAt = Date.now();
+  const templateContext = { ...context, input, steps: {} };
+  const stepsById = new Map(workflow.steps.map((step) => [step.id, step]));
+  const results = {};
+  let halted = false;
+
+  // A dependency is usable if it succeeded or is allowed to fail.
+  const isUsable = (id) => results[id].status === "success" || stepsById.get(id).continueOnError;
+
+  for (const wave of planWaves(workflow.steps)) {
+    const runnable = wave.filter((step) => {
+      if (!halted && stepDependencies(step).every(isUsable)) return true;
+      const { id, blockId, operation } = step;
+      results[id] = { id, blockId, operation, status: "skipped" };
+      return false;
+    });
+    const waveResults = await Promise.all(
+      runnable.map((step) => runStep(step, templateContext, { workspaceId, actor }))
+    );
+    waveResults.forEach((result, i) => {
+      const step = runnable[i];
+      results[step.id] = result;
+      if (result.status === "success") templateContext.steps[step.id] = result.output;
+      else if (!step.continueOnError) halted = true;
+    });
+  }
+
+  const steps = workflow.steps.map((step) => results[step.id]);
+  return {
+    status: steps.some((step) => step.status === "failed") ? "failed" : "success",
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    steps,
+  };
+}
+
+module.exports = { validateWorkflow, runWorkflow };
@@ -0,0 +1,105 @@
+// workflowStore.js
+// Saved workflows (a single block invocation is just a one-step workflow) and their
+// run history, scoped per workspace. Run history keeps step outputs only as summaries
+// (see summarizeOutput); the full outputs are returned by the run itself.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+const { summarizeOutput } = require("./executionLog");
+
+const workflows = createStore("workflows");
+const runs = createStore("workflowRuns");
+
+// Older runs beyond this are dropped per workflow.
+const MAX_RUNS_PER_WORKFLOW = 100;
+
+const findWorkflow = (workspaceId, id) => {
+  const workflow = workflows.get(id);
+  return workflow && workflow.workspaceId === workspaceId ? workflow : null;
+};
+
+function createWorkflow({ workspaceId, name, definition, input, schedule }) {
+  const now = new Date().toISOString();
+  const workflow = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    name: name || "Untitled workflow",
+    definition,
+    input: input || {},
+    schedule: schedule || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return workflows.set(workflow.id, workflow);
+}
+
+function updateWorkflow(workspaceId, id, changes) {
+  const workflow = findWorkflow(workspaceId, id);
+  if (!workflow) return null;
+  const { name, definition, input, schedule } = changes;
+  return workflows.set(id, {
+    ...workflow,
+    ...(name !== undefined && { name }),
+    ...(definition !== undefined && { definition }),
+    ...(input !== undefined && { input }),
+    ...(schedule !== undefined && { schedule }),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+const listWorkflows = (workspaceId) =>
+  workflows.list((workflow) => workflow.workspaceId === workspaceId);
+
+// Every workflow with an enabled schedule, across workspaces (for the scheduler).
+const listScheduledWorkflows = () =>
+  workflows.list((workflow) => workflow.schedule && workflow.schedule.enabled !== false);
+
+function deleteWorkflow(workspaceId, id) {
+  if (!findWorkflow(workspaceId, id)) return false;
+  runs.deleteWhere((run) => run.workflowId === id);
+  return workflows.delete(id);
+}
+
+// Stores `run` with summarized step outputs and resolves to the full record.
+function recordRun(workflow, trigger, run) {
+  const record = {
+    id: crypto.randomUUID(),
+    workflowId: workflow.id,
+    workspaceId: workflow.workspaceId,
+    trigger,
+    ...run,
+  };
+  const steps = run.steps?.map((step) =>
+    step.output === undefined ? step : { ...step, output: summarizeOutput(step.output) }
+  );
+  runs.set(record.id, { ...record, ...(steps && { steps }) });
+  const dropped = new Set(
+    listRuns(workflow.workspaceId, workflow.id)
+      .slice(MAX_RUNS_PER_WORKFLOW)
+      .map((old) => old.id)
+  );
+  if (dropped.size) runs.deleteWhere((old) => dropped.has(old.id));
+  return record;
+}
+
+// Newest first.
+const listRuns = (workspaceId, workflowId) =>
+  runs
+    .list((run) => run.workspaceId === workspaceId && run.workflowId === workflowId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+function getRun(workspaceId, runId) {
+  const run = runs.get(runId);
+  return run && run.workspaceId === workspaceId ? run : null;
+}
+
+module.exports = {
+  createWorkflow,
+  updateWorkflow,
+  getWorkflow: findWorkflow,
+  listWorkflows,
+  listScheduledWorkflows,
+  deleteWorkflow,
+  recordRun,
+  listRuns,
+  getRun,
+};
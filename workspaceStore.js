@@ -0,0 +1,69 @@
+// workspaceStore.js
+// Workspaces group users; every connection, workflow, hook, trigger and execution
+// belongs to exactly one. Members are { userId, role } with role "owner" or "member";
+// only owners manage membership.
+const crypto = require("crypto");
+const { createStore } = require("./jsonStore");
+
+const store = createStore("workspaces");
+
+const WORKSPACE_ROLES = ["owner", "member"];
+
+// Data created before authentication existed lives in the "default" workspace; the
+// first workspace ever created takes over that id so it stays reachable.
+const LEGACY_WORKSPACE_ID = "default";
+
+function createWorkspace({ name, ownerId }) {
+  const workspace = {
+    id: store.list().length ? crypto.randomUUID() : LEGACY_WORKSPACE_ID,
+    name: name || "My workspace",
+    members: [{ userId: ownerId, role: "owner" }],
+    createdAt: new Date().toISOString(),
+  };
+  store.set(workspace.id, workspace);
+  return workspace;
+}
+
+const getWorkspace = (id) => store.get(id) || null;
+
+const listUserWorkspaces = (userId) =>
+  store.list((workspace) => workspace.members.some((member) => member.userId === userId));
+
+// The user's role in the workspace, or null when they are not a member.
+function getMemberRole(workspaceId, userId) {
+  const member = getWorkspace(workspaceId)?.members.find((entry) => entry.userId === userId);
+  return member ? member.role : null;
+}
+
+// Adds the user, or changes their role if they already belong to the workspace.
+function setMember(workspaceId, userId, role) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace) return null;
+  const members = workspace.members.filter((member) => member.userId !== userId);
+  return store.set(workspaceId, { ...workspace, members: [...members, { userId, role }] });
+}
+
+function removeMember(workspaceId, userId) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace || !workspace.members.some((member) => member.userId === userId)) return false;
+  const members = workspace.members.filter((member) => member.userId !== userId);
+  store.set(workspaceId, { ...workspace, members });
+  return true;
+}
+
+// True when `userId` is the workspace's only owner (who must not leave or be demoted).
+const isLastOwner = (workspace, userId) => {
+  const owners = workspace.members.filter((member) => member.role === "owner");
+  return owners.length === 1 && owners[0].userId === userId;
+};
+
+module.exports = {
+  WORKSPACE_ROLES,
+  createWorkspace,
+  getWorkspace,
+  listUserWorkspaces,
+  getMemberRole,
+  setMember,
+  removeMember,
+  isLastOwner,
+};